@@ -0,0 +1,101 @@
+/**
+ * 审计日志模块
+ * 记录登录、账号、服务、Webhook、用户等修改操作的操作者、来源、目标和结果
+ */
+
+const db = require('./db');
+
+// 审计操作类型
+const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGOUT: 'auth.logout',
+  SET_PASSWORD: 'auth.set_password',
+  TWO_FACTOR_ENABLE: 'auth.2fa_enable',
+  TWO_FACTOR_DISABLE: 'auth.2fa_disable',
+  TWO_FACTOR_RECOVERY_CODES: 'auth.2fa_recovery_codes',
+  PASSKEY_REGISTER: 'auth.passkey_register',
+  PASSKEY_DELETE: 'auth.passkey_delete',
+  ACCOUNT_ADD: 'account.add',
+  ACCOUNT_UPDATE: 'account.update',
+  ACCOUNT_DELETE: 'account.delete',
+  ACCOUNT_POLLING: 'account.polling',
+  SERVICE_PAUSE: 'service.pause',
+  SERVICE_RESTART: 'service.restart',
+  PROJECT_RENAME: 'project.rename',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_UPDATE: 'webhook.update',
+  WEBHOOK_DELETE: 'webhook.delete',
+  WEBHOOK_TEST: 'webhook.test',
+  WEBHOOK_REDELIVER: 'webhook.redeliver',
+  EMAIL_UPDATE: 'email.update',
+  EMAIL_DELETE: 'email.delete',
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_TWO_FACTOR_RESET: 'user.2fa_reset',
+  CACHE_CLEAR: 'cache.clear'
+};
+
+/**
+ * 写入一条审计日志（失败只打印错误，不影响请求）
+ * @param {object} entry - { userId, username, ip, userAgent, action, target, result, statusCode, error }
+ */
+async function recordAudit(entry) {
+  try {
+    await db.recordAuditLog(entry);
+  } catch (error) {
+    console.error(`❌ 写入审计日志失败 [${entry.action}]:`, error.message);
+  }
+}
+
+/**
+ * 审计中间件：在响应结束后记录操作结果（状态码 < 400 为成功）
+ * 放在 requireAuth 之后、权限检查之前，被拒绝的操作也会被记录
+ * 路由可通过 res.locals.auditTarget 补充目标信息，通过 res.locals.auditUser 指定操作者（登录接口）
+ * @param {string} action - 操作类型
+ * @param {Function} getTarget - (req) => 目标信息 { account, project, service, ... }，可以是异步函数
+ */
+function auditAction(action, getTarget = () => ({})) {
+  return (req, res, next) => {
+    // 记录错误响应中的错误信息
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && typeof body.error === 'string') {
+        res.locals.auditError = body.error;
+      }
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      let target = {};
+      try {
+        target = { ...await getTarget(req), ...res.locals.auditTarget };
+      } catch (e) {
+        target = { ...res.locals.auditTarget };
+      }
+
+      // 登录失败时没有当前用户，记录尝试登录的用户名
+      const user = res.locals.auditUser || req.user;
+      const attempted = typeof req.body?.username === 'string' ? req.body.username.slice(0, 50) : null;
+      await recordAudit({
+        userId: user?.id ?? null,
+        username: user?.username || attempted,
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+        action,
+        target,
+        result: res.statusCode < 400 ? 'success' : 'failure',
+        statusCode: res.statusCode,
+        error: res.statusCode < 400 ? null : res.locals.auditError || null
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  auditAction
+};
@@ -0,0 +1,149 @@
+/**
+ * Zeabur API 请求基准测试
+ * 在本地模拟 Zeabur GraphQL 接口，对比逐个字段请求、连接复用和批量请求时的请求数、连接数和耗时
+ * 运行: node benchmark-zeabur.js [账号数量] [轮数]
+ * 环境变量: BENCH_LATENCY 每个请求的模拟延迟（毫秒，默认 80），BENCH_HANDSHAKE 每个新连接的模拟握手延迟（毫秒，默认 150）
+ */
+
+const http = require('http');
+const { spawn } = require('child_process');
+
+const ACCOUNTS = parseInt(process.argv[2], 10) || 10;
+const ROUNDS = parseInt(process.argv[3], 10) || 5;
+const LATENCY = parseInt(process.env.BENCH_LATENCY, 10) || 80;
+const HANDSHAKE = parseInt(process.env.BENCH_HANDSHAKE, 10) || 150;
+
+const SCENARIOS = [
+  { name: '逐个请求，不复用连接', env: { ZEABUR_API_BATCH: 'false' }, closeConnections: true },
+  { name: '逐个请求，复用连接', env: { ZEABUR_API_BATCH: 'false' }, closeConnections: false },
+  { name: '批量请求，复用连接', env: {}, closeConnections: false }
+];
+
+// ==================== 模拟接口 ====================
+
+const FIELD_DATA = {
+  me: token => ({ _id: `user-${token}`, username: token, email: `${token}@example.com`, credit: 500 }),
+  projects: () => ({
+    edges: [{
+      node: {
+        _id: 'project-1', name: 'demo', region: { name: 'hkg' }, environments: [{ _id: 'env-1' }],
+        services: [{ _id: 'service-1', name: 'web', status: 'RUNNING', template: 'PREBUILT', resourceLimit: null, domains: [] }]
+      }
+    }]
+  }),
+  aihubTenant: () => ({ balance: 0, keys: [] }),
+  usages: () => ({ categories: [], data: [{ id: 'project-1', name: 'demo', groupByEntity: 'PROJECT', usageOfEntity: [0.12, 0.34] }] })
+};
+
+/**
+ * 启动模拟接口，按语句中的别名返回各字段数据
+ * 新连接的第一个请求额外等待 HANDSHAKE 毫秒，模拟 TLS 握手
+ */
+function startMockServer(closeConnections) {
+  const stats = { requests: 0, connections: 0 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      stats.requests++;
+      const { query } = JSON.parse(body);
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const data = {};
+      for (const [, alias, field] of query.matchAll(/^\s*(\w+): (\w+)/gm)) {
+        if (FIELD_DATA[field]) data[alias] = FIELD_DATA[field](token);
+      }
+
+      const delay = LATENCY + (req.socket.handshakeDone ? 0 : HANDSHAKE);
+      req.socket.handshakeDone = true;
+      setTimeout(() => {
+        res.setHeader('Content-Type', 'application/json');
+        if (closeConnections) res.setHeader('Connection', 'close');
+        res.end(JSON.stringify({ data }));
+      }, delay);
+    });
+  });
+  server.on('connection', () => stats.connections++);
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, stats })));
+}
+
+// ==================== 子进程：按轮询的方式拉取账号数据 ====================
+
+async function runScenario() {
+  const zeabur = require('./zeabur-client');
+  const tokens = Array.from({ length: ACCOUNTS }, (_, i) => `account${i + 1}`);
+  const userIds = new Map();
+  const durations = [];
+
+  // 与 collectAccountSnapshot 相同：用户 ID 已知时用量和账号信息同时查询
+  async function collect(token) {
+    const knownUserId = userIds.get(token);
+    const earlyUsage = knownUserId ? zeabur.getUsages(token, knownUserId, '2026-01-01', '2026-01-31') : null;
+    const [user] = await Promise.all([
+      zeabur.getCurrentUser(token),
+      zeabur.getProjects(token),
+      zeabur.getAIHubTenant(token).catch(() => null)
+    ]);
+    userIds.set(token, user._id);
+    await (earlyUsage || zeabur.getUsages(token, user._id, '2026-01-01', '2026-01-31'));
+  }
+
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = process.hrtime.bigint();
+    await Promise.all(tokens.map(collect));
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  process.send({ durations }, () => process.disconnect());
+}
+
+// ==================== 主进程 ====================
+
+function runChild(scenario, port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [__filename, String(ACCOUNTS), String(ROUNDS)], {
+      env: { ...process.env, ...scenario.env, BENCH_CHILD: '1', ZEABUR_API_URL: `http://127.0.0.1:${port}/graphql` },
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+    let result = null;
+    child.on('message', message => result = message);
+    child.on('exit', code => code === 0 && result ? resolve(result) : reject(new Error(`子进程退出，代码 ${code}`)));
+  });
+}
+
+const average = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+async function main() {
+  console.log(`[INFO] ${ACCOUNTS} 个账号，${ROUNDS} 轮，请求延迟 ${LATENCY}ms，握手延迟 ${HANDSHAKE}ms\n`);
+
+  const rows = [];
+  for (const scenario of SCENARIOS) {
+    const { server, stats } = await startMockServer(scenario.closeConnections);
+    const { durations } = await runChild(scenario, server.address().port);
+    server.close();
+
+    rows.push({
+      场景: scenario.name,
+      请求数: stats.requests,
+      每账号每轮请求: +(stats.requests / ACCOUNTS / ROUNDS).toFixed(2),
+      新建连接: stats.connections,
+      首轮耗时ms: Math.round(durations[0]),
+      后续平均耗时ms: Math.round(average(durations.slice(1).length ? durations.slice(1) : durations))
+    });
+  }
+
+  console.table(rows);
+  const [baseline, , batched] = rows;
+  console.log(`\n[OK] 批量请求减少 ${Math.round((1 - batched.请求数 / baseline.请求数) * 100)}% 的请求，后续轮次耗时减少 ${Math.round((1 - batched.后续平均耗时ms / baseline.后续平均耗时ms) * 100)}%`);
+}
+
+if (process.env.BENCH_CHILD) {
+  runScenario().catch(error => {
+    console.error('[ERROR]', error.message);
+    process.exit(1);
+  });
+} else {
+  main().catch(error => {
+    console.error('[ERROR]', error.message);
+    process.exit(1);
+  });
+}
@@ -1,17 +1,59 @@
 /**
  * 缓存模块
  * 支持 Redis 和内存缓存，自动回退
+ * 缓存可以带标签，通过 invalidateTag 一次删除同一标签下的所有缓存；Redis 中按模式遍历键时使用 SCAN
+ * 内存缓存按条目数和字节数限制大小，超出时淘汰最久未使用的条目（LRU）
  */
 
-const { getRedisClient, isRedisAvailable } = require('./redis-client');
+const { getRedisClient, isRedisAvailable, scanKeys } = require('./redis-client');
 
-// 内存缓存（备用）
+// 内存缓存（备用），Map 的遍历顺序即使用顺序：读取时移到末尾，淘汰时从头部开始
 const memoryCache = new Map();
 
+// 内存缓存上限
+const MEMORY_MAX_ENTRIES = Math.max(parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 1000, 1);
+const MEMORY_MAX_BYTES = Math.max(parseInt(process.env.CACHE_MEMORY_MAX_MB, 10) || 32, 1) * 1024 * 1024;
+
+// 内存缓存当前占用的字节数（键和序列化后的值）
+let memoryBytes = 0;
+
+// 内存缓存的标签：tag -> Set(完整缓存键)
+const memoryTags = new Map();
+
 // 默认配置
 const DEFAULT_TTL = 60; // 60秒
 const CACHE_PREFIX = 'cache:';
 
+// 标签集合的键前缀（Redis 中为 Set，成员是带该标签的完整缓存键）
+const TAG_PREFIX = CACHE_PREFIX + 'tag:';
+
+// 命中统计（进程启动后累计）
+const counters = {
+  hits: 0,
+  misses: 0,
+  staleHits: 0,
+  revalidations: 0,
+  revalidationErrors: 0,
+  invalidations: 0,
+  evictions: 0,
+  expirations: 0,
+  oversized: 0
+};
+
+// 按命名空间统计的命中次数：namespace -> { hits, staleHits, misses }
+const namespaceCounters = {};
+
+// 正在后台刷新的键，同一个键同时只刷新一次
+const revalidating = new Set();
+
+// 失效版本号：每次删除键、按标签删除或清空缓存时递增，并记录到对应的键或标签上
+// 获取数据期间键或标签被失效时丢弃结果，避免写回已失效的数据；没有进行中的获取时清空记录
+let invalidationEpoch = 0;
+let flushedAt = 0;
+const keyInvalidatedAt = new Map();
+const tagInvalidatedAt = new Map();
+let pendingFetches = 0;
+
 // 缓存键前缀定义
 const CACHE_KEYS = {
   ACCOUNT_INFO: 'account:',
@@ -20,6 +62,75 @@ const CACHE_KEYS = {
   API_RESPONSE: 'api:'
 };
 
+// 各命名空间的默认缓存时间（秒），未指定 ttl 时按缓存键的命名空间选择
+// 允许设置为 0（数据写入后立即过期）
+const parseTtl = (value, defaultValue) => Math.max(parseInt(value ?? String(defaultValue), 10) || 0, 0);
+
+const NAMESPACE_TTL = {
+  [CACHE_KEYS.ACCOUNT_INFO]: parseTtl(process.env.CACHE_ACCOUNT_TTL, 60),
+  [CACHE_KEYS.PROJECT_LIST]: parseTtl(process.env.CACHE_PROJECTS_TTL, 30),
+  [CACHE_KEYS.USER_BALANCE]: parseTtl(process.env.CACHE_USAGE_TTL, 300),
+  [CACHE_KEYS.API_RESPONSE]: DEFAULT_TTL
+};
+
+/**
+ * 获取缓存键所属的命名空间（不属于 CACHE_KEYS 时返回 null）
+ * @param {string} key - 缓存键（不含 CACHE_PREFIX）
+ */
+function getNamespace(key) {
+  return Object.values(CACHE_KEYS).find(namespace => key.startsWith(namespace)) || null;
+}
+
+/**
+ * 获取缓存时间：优先使用调用方指定的 ttl，否则使用命名空间的默认值
+ * @param {string} key - 缓存键
+ * @param {number} ttl - 指定的过期时间（秒）
+ * @returns {number}
+ */
+function resolveTtl(key, ttl) {
+  if (ttl !== undefined && ttl !== null) return ttl;
+  return NAMESPACE_TTL[getNamespace(key)] ?? DEFAULT_TTL;
+}
+
+/**
+ * 记录获取数据开始时的失效版本号
+ * @returns {number}
+ */
+function beginFetch() {
+  pendingFetches++;
+  return invalidationEpoch;
+}
+
+/**
+ * 结束一次获取，返回获取期间键或标签是否被失效
+ * @param {string} key - 缓存键
+ * @param {string[]} tags - 缓存标签
+ * @param {number} startedAt - beginFetch 返回的版本号
+ * @returns {boolean}
+ */
+function endFetch(key, tags, startedAt) {
+  const invalidated = flushedAt > startedAt ||
+    (keyInvalidatedAt.get(key) || 0) > startedAt ||
+    tags.some(tag => (tagInvalidatedAt.get(tag) || 0) > startedAt);
+
+  if (--pendingFetches === 0) {
+    keyInvalidatedAt.clear();
+    tagInvalidatedAt.clear();
+  }
+  return invalidated;
+}
+
+// 记录一次查找结果（hits、staleHits 或 misses）
+function countLookup(key, result) {
+  counters[result]++;
+  const namespace = getNamespace(key);
+  if (!namespace) return;
+  if (!namespaceCounters[namespace]) {
+    namespaceCounters[namespace] = { hits: 0, staleHits: 0, misses: 0 };
+  }
+  namespaceCounters[namespace][result]++;
+}
+
 /**
  * 生成缓存键
  * @param {string} namespace - 命名空间
@@ -30,21 +141,100 @@ function buildKey(namespace, key) {
   return CACHE_PREFIX + namespace + key;
 }
 
+/**
+ * 删除一条内存缓存并从标签中移除
+ * @param {string} fullKey - 完整缓存键
+ * @returns {boolean} 是否存在
+ */
+function deleteMemoryEntry(fullKey) {
+  const cached = memoryCache.get(fullKey);
+  if (!cached) return false;
+
+  memoryCache.delete(fullKey);
+  memoryBytes -= cached.size;
+  for (const tag of cached.tags) {
+    const keys = memoryTags.get(tag);
+    if (!keys) continue;
+    keys.delete(fullKey);
+    if (keys.size === 0) memoryTags.delete(tag);
+  }
+  return true;
+}
+
+/**
+ * 写入一条内存缓存，超出上限时先清理已过期的条目，再淘汰最久未使用的条目
+ * @returns {boolean} 是否写入（单个值超过字节上限时不缓存）
+ */
+function setMemoryEntry(fullKey, serialized, ttl, tags) {
+  deleteMemoryEntry(fullKey);
+
+  const size = Buffer.byteLength(fullKey) + Buffer.byteLength(serialized);
+  if (size > MEMORY_MAX_BYTES) {
+    counters.oversized++;
+    return false;
+  }
+
+  memoryCache.set(fullKey, {
+    value: serialized,
+    expiresAt: Date.now() + ttl * 1000,
+    size,
+    tags
+  });
+  memoryBytes += size;
+  for (const tag of tags) {
+    if (!memoryTags.has(tag)) memoryTags.set(tag, new Set());
+    memoryTags.get(tag).add(fullKey);
+  }
+
+  const overLimit = () => memoryCache.size > MEMORY_MAX_ENTRIES || memoryBytes > MEMORY_MAX_BYTES;
+  if (overLimit()) {
+    cleanExpiredMemoryCache();
+  }
+  while (overLimit()) {
+    deleteMemoryEntry(memoryCache.keys().next().value);
+    counters.evictions++;
+  }
+  return true;
+}
+
+/**
+ * 延长标签集合的过期时间，使其不早于集合中最晚过期的缓存
+ */
+async function extendTagTtl(client, tags, ttl) {
+  for (const tag of tags) {
+    const remaining = await client.ttl(TAG_PREFIX + tag);
+    if (remaining < ttl) {
+      await client.expire(TAG_PREFIX + tag, ttl);
+    }
+  }
+}
+
 /**
  * 设置缓存
  * @param {string} key - 缓存键
  * @param {any} value - 缓存值（会自动 JSON 序列化）
- * @param {number} ttl - 过期时间（秒），默认 60 秒
+ * @param {number} ttl - 过期时间（秒），默认使用命名空间的缓存时间
+ * @param {object} options
+ * @param {string[]} options.tags - 标签（如账号），可通过 invalidateTag 一次删除
  * @returns {Promise<boolean>}
  */
-async function set(key, value, ttl = DEFAULT_TTL) {
+async function set(key, value, ttl, { tags = [] } = {}) {
   const fullKey = CACHE_PREFIX + key;
   const serialized = JSON.stringify(value);
+  ttl = resolveTtl(key, ttl);
+  if (ttl <= 0) return false;
 
   const client = getRedisClient();
   if (isRedisAvailable() && client) {
     try {
-      await client.setex(fullKey, ttl, serialized);
+      if (tags.length === 0) {
+        await client.setex(fullKey, ttl, serialized);
+      } else {
+        const multi = client.multi().setex(fullKey, ttl, serialized);
+        tags.forEach(tag => multi.sadd(TAG_PREFIX + tag, fullKey));
+        await multi.exec();
+        await extendTagTtl(client, tags, ttl);
+      }
       return true;
     } catch (err) {
       console.error('❌ Redis 缓存写入失败:', err.message);
@@ -53,19 +243,15 @@ async function set(key, value, ttl = DEFAULT_TTL) {
   }
 
   // 内存缓存
-  memoryCache.set(fullKey, {
-    value: serialized,
-    expiresAt: Date.now() + ttl * 1000
-  });
-  return true;
+  return setMemoryEntry(fullKey, serialized, ttl, tags);
 }
 
 /**
- * 获取缓存
+ * 读取缓存（不计入命中统计）
  * @param {string} key - 缓存键
  * @returns {Promise<any|null>}
  */
-async function get(key) {
+async function read(key) {
   const fullKey = CACHE_PREFIX + key;
 
   const client = getRedisClient();
@@ -87,13 +273,28 @@ async function get(key) {
   if (!cached) return null;
 
   if (Date.now() > cached.expiresAt) {
-    memoryCache.delete(fullKey);
+    deleteMemoryEntry(fullKey);
+    counters.expirations++;
     return null;
   }
 
+  // 移到末尾，标记为最近使用
+  memoryCache.delete(fullKey);
+  memoryCache.set(fullKey, cached);
   return JSON.parse(cached.value);
 }
 
+/**
+ * 获取缓存
+ * @param {string} key - 缓存键
+ * @returns {Promise<any|null>}
+ */
+async function get(key) {
+  const value = await read(key);
+  countLookup(key, value === null ? 'misses' : 'hits');
+  return value;
+}
+
 /**
  * 删除缓存
  * @param {string} key - 缓存键
@@ -101,6 +302,8 @@ async function get(key) {
  */
 async function del(key) {
   const fullKey = CACHE_PREFIX + key;
+  counters.invalidations++;
+  if (pendingFetches > 0) keyInvalidatedAt.set(key, ++invalidationEpoch);
 
   const client = getRedisClient();
   if (isRedisAvailable() && client) {
@@ -111,10 +314,42 @@ async function del(key) {
     }
   }
 
-  memoryCache.delete(fullKey);
+  deleteMemoryEntry(fullKey);
   return true;
 }
 
+/**
+ * 删除带指定标签的所有缓存
+ * @param {string} tag - 标签
+ * @returns {Promise<number>} 删除的键数量
+ */
+async function invalidateTag(tag) {
+  const tagKey = TAG_PREFIX + tag;
+  let count = 0;
+  if (pendingFetches > 0) tagInvalidatedAt.set(tag, ++invalidationEpoch);
+
+  const client = getRedisClient();
+  if (isRedisAvailable() && client) {
+    try {
+      const keys = await client.smembers(tagKey);
+      if (keys.length > 0) {
+        count = await client.del(...keys);
+      }
+      await client.del(tagKey);
+    } catch (err) {
+      console.error('❌ Redis 按标签删除缓存失败:', err.message);
+    }
+  }
+
+  // 内存缓存
+  for (const fullKey of [...(memoryTags.get(tag) || [])]) {
+    if (deleteMemoryEntry(fullKey)) count++;
+  }
+
+  counters.invalidations += count;
+  return count;
+}
+
 /**
  * 批量删除匹配的缓存
  * @param {string} pattern - 键模式（支持 * 通配符）
@@ -123,14 +358,14 @@ async function del(key) {
 async function delByPattern(pattern) {
   const fullPattern = CACHE_PREFIX + pattern;
   let count = 0;
+  flushedAt = ++invalidationEpoch;
 
   const client = getRedisClient();
   if (isRedisAvailable() && client) {
     try {
-      const keys = await client.keys(fullPattern);
-      if (keys.length > 0) {
-        count = await client.del(...keys);
-      }
+      await scanKeys(fullPattern, async keys => {
+        count += await client.del(...keys);
+      });
     } catch (err) {
       console.error('❌ Redis 批量删除失败:', err.message);
     }
@@ -138,9 +373,9 @@ async function delByPattern(pattern) {
 
   // 内存缓存
   const regex = new RegExp('^' + fullPattern.replace(/\*/g, '.*') + '$');
-  for (const key of memoryCache.keys()) {
+  for (const key of [...memoryCache.keys()]) {
     if (regex.test(key)) {
-      memoryCache.delete(key);
+      deleteMemoryEntry(key);
       count++;
     }
   }
@@ -168,7 +403,8 @@ async function exists(key) {
   const cached = memoryCache.get(fullKey);
   if (!cached) return false;
   if (Date.now() > cached.expiresAt) {
-    memoryCache.delete(fullKey);
+    deleteMemoryEntry(fullKey);
+    counters.expirations++;
     return false;
   }
   return true;
@@ -178,10 +414,10 @@ async function exists(key) {
  * 获取或设置缓存（缓存穿透保护）
  * @param {string} key - 缓存键
  * @param {Function} fetchFn - 数据获取函数
- * @param {number} ttl - 过期时间（秒）
+ * @param {number} ttl - 过期时间（秒），默认使用命名空间的缓存时间
  * @returns {Promise<any>}
  */
-async function getOrSet(key, fetchFn, ttl = DEFAULT_TTL) {
+async function getOrSet(key, fetchFn, ttl) {
   // 先尝试获取缓存
   const cached = await get(key);
   if (cached !== null) {
@@ -199,13 +435,85 @@ async function getOrSet(key, fetchFn, ttl = DEFAULT_TTL) {
   return data;
 }
 
+/**
+ * 获取数据并写入 stale-while-revalidate 缓存，获取期间缓存被失效时只返回数据不写入
+ */
+async function fetchAndStore(key, fetchFn, ttl, staleTtl, tags) {
+  const startedAt = beginFetch();
+  let data;
+  try {
+    data = await fetchFn();
+  } catch (err) {
+    endFetch(key, tags, startedAt);
+    throw err;
+  }
+
+  if (!endFetch(key, tags, startedAt)) {
+    await set(key, { value: data, freshUntil: Date.now() + ttl * 1000 }, ttl + staleTtl, { tags });
+  }
+  return data;
+}
+
+/**
+ * 后台刷新缓存，失败时保留旧值（evictOnError 返回 true 时删除旧值）
+ */
+async function revalidate(key, fetchFn, ttl, staleTtl, evictOnError, tags) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+  counters.revalidations++;
+  try {
+    await fetchAndStore(key, fetchFn, ttl, staleTtl, tags);
+  } catch (err) {
+    counters.revalidationErrors++;
+    if (evictOnError(err)) {
+      await del(key);
+    }
+    console.log(`⚠️ 缓存后台刷新失败 [${key}]:`, err.message);
+  } finally {
+    revalidating.delete(key);
+  }
+}
+
+/**
+ * 获取缓存（stale-while-revalidate）
+ * 未过期直接返回；过期但仍在 staleTtl 内时立即返回旧值并在后台刷新；超过 ttl + staleTtl 后同步获取
+ * forceRefresh 为 true 时不读取缓存，同步获取最新数据并更新缓存（后台轮询使用）
+ * @param {string} key - 缓存键
+ * @param {Function} fetchFn - 数据获取函数（失败时抛出错误，错误不会被缓存）
+ * @param {object} options
+ * @param {number} options.ttl - 新鲜时间（秒），默认使用命名空间的缓存时间
+ * @param {number} options.staleTtl - 过期后仍可返回旧值的时间（秒）
+ * @param {Function} options.evictOnError - (error) => boolean，后台刷新失败时是否删除旧值
+ * @param {string[]} options.tags - 缓存标签
+ * @param {boolean} options.forceRefresh - 跳过缓存直接获取
+ * @returns {Promise<any>}
+ */
+async function getStaleWhileRevalidate(key, fetchFn, { ttl, staleTtl = 0, evictOnError = () => false, tags = [], forceRefresh = false } = {}) {
+  ttl = resolveTtl(key, ttl);
+  const cached = forceRefresh ? null : await read(key);
+
+  if (cached && Date.now() < cached.freshUntil) {
+    countLookup(key, 'hits');
+    return cached.value;
+  }
+
+  if (cached) {
+    countLookup(key, 'staleHits');
+    revalidate(key, fetchFn, ttl, staleTtl, evictOnError, tags);
+    return cached.value;
+  }
+
+  if (!forceRefresh) countLookup(key, 'misses');
+  return fetchAndStore(key, fetchFn, ttl, staleTtl, tags);
+}
+
 /**
  * 缓存装饰器 - 用于 API 响应缓存
  * @param {string} keyPrefix - 键前缀
- * @param {number} ttl - 过期时间（秒）
+ * @param {number} ttl - 过期时间（秒），默认使用命名空间的缓存时间
  * @returns {Function}
  */
-function cacheMiddleware(keyPrefix, ttl = DEFAULT_TTL) {
+function cacheMiddleware(keyPrefix, ttl) {
   return async (req, res, next) => {
     // 只缓存 GET 请求
     if (req.method !== 'GET') {
@@ -245,30 +553,68 @@ function cacheMiddleware(keyPrefix, ttl = DEFAULT_TTL) {
  */
 function cleanExpiredMemoryCache() {
   const now = Date.now();
-  for (const [key, cached] of memoryCache.entries()) {
+  for (const [key, cached] of [...memoryCache.entries()]) {
     if (now > cached.expiresAt) {
-      memoryCache.delete(key);
+      deleteMemoryEntry(key);
+      counters.expirations++;
     }
   }
 }
 
+/**
+ * 按命名空间汇总缓存时间、命中次数和内存占用
+ * @returns {object} namespace -> { ttl, hits, staleHits, misses, memoryEntries, memoryBytes }
+ */
+function getNamespaceStats() {
+  const result = {};
+  for (const namespace of Object.values(CACHE_KEYS)) {
+    result[namespace] = {
+      ttl: NAMESPACE_TTL[namespace],
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      ...namespaceCounters[namespace],
+      memoryEntries: 0,
+      memoryBytes: 0
+    };
+  }
+  for (const [fullKey, cached] of memoryCache) {
+    const namespace = getNamespace(fullKey.slice(CACHE_PREFIX.length));
+    if (!namespace) continue;
+    result[namespace].memoryEntries++;
+    result[namespace].memoryBytes += cached.size;
+  }
+  return result;
+}
+
 /**
  * 获取缓存统计信息
  * @returns {Promise<object>}
  */
 async function getStats() {
+  const lookups = counters.hits + counters.staleHits + counters.misses;
   const stats = {
     backend: isRedisAvailable() ? 'redis' : 'memory',
-    memorySize: memoryCache.size
+    memorySize: memoryCache.size,
+    memoryBytes,
+    memoryMaxEntries: MEMORY_MAX_ENTRIES,
+    memoryMaxBytes: MEMORY_MAX_BYTES,
+    memoryTags: memoryTags.size,
+    ...counters,
+    hitRate: lookups > 0 ? Math.round((counters.hits + counters.staleHits) / lookups * 1000) / 1000 : null,
+    namespaces: getNamespaceStats()
   };
 
   const client = getRedisClient();
   if (isRedisAvailable() && client) {
     try {
-      const keys = await client.keys(CACHE_PREFIX + '*');
-      stats.redisKeys = keys.length;
+      const keys = new Set();
+      await scanKeys(CACHE_PREFIX + '*', batch => batch.forEach(key => keys.add(key)));
+      stats.redisKeys = [...keys].filter(key => !key.startsWith(TAG_PREFIX)).length;
+      stats.redisTags = keys.size - stats.redisKeys;
     } catch (err) {
       stats.redisKeys = 0;
+      stats.redisTags = 0;
     }
   }
 
@@ -280,19 +626,19 @@ async function getStats() {
  * @returns {Promise<void>}
  */
 async function flush() {
+  flushedAt = ++invalidationEpoch;
   const client = getRedisClient();
   if (isRedisAvailable() && client) {
     try {
-      const keys = await client.keys(CACHE_PREFIX + '*');
-      if (keys.length > 0) {
-        await client.del(...keys);
-      }
+      await scanKeys(CACHE_PREFIX + '*', keys => client.del(...keys));
     } catch (err) {
       console.error('❌ Redis 缓存清空失败:', err.message);
     }
   }
 
   memoryCache.clear();
+  memoryTags.clear();
+  memoryBytes = 0;
 }
 
 // 每 5 分钟清理过期的内存缓存
@@ -303,11 +649,14 @@ module.exports = {
   get,
   del,
   delByPattern,
+  invalidateTag,
   exists,
   getOrSet,
+  getStaleWhileRevalidate,
   cacheMiddleware,
   getStats,
   flush,
   CACHE_KEYS,
+  NAMESPACE_TTL,
   DEFAULT_TTL
 };
@@ -12,6 +12,7 @@ function App() {
     needEncryption, 
     suggestedSecret, 
     login, 
+    loginWithPasskey,
     setAdminPassword 
   } = useAuth()
 
@@ -32,7 +33,7 @@ function App() {
   }
 
   if (!isAuthenticated) {
-    return <Login onLogin={login} />
+    return <Login onLogin={login} onPasskeyLogin={loginWithPasskey} />
   }
 
   return <Dashboard />
@@ -2,14 +2,16 @@ import React, { useState } from 'react'
 import { Card, CardHeader, CardContent, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Button } from '@/components/ui/button'
-import { ChevronRight, ChevronDown, Play, Pause, RotateCw, FileText, Globe, Pencil, Check, X } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+import { ChevronRight, ChevronDown, Play, Pause, RotateCw, FileText, Globe, Pencil, Check, X, KeyRound } from 'lucide-react'
 import { cn } from '@/lib/utils'
-import { useServiceAction, useRenameProject, useServiceLogs } from '@/hooks/useZeabur'
+import { useServiceAction, useRenameProject, useServiceLogs, useHasRole, useUpdateAccount, useRefreshDashboard } from '@/hooks/useZeabur'
 import { Dialog } from '@/components/ui/dialog'
 import toast from 'react-hot-toast'
 
 const ServiceItem = ({ service, account, project, onLogs }) => {
   const { mutate: performAction, isPending } = useServiceAction()
+  const canOperate = useHasRole('operator')
 
   const handleAction = (action) => {
     if (!confirm(`确定要${action === 'pause' ? '暂停' : '重启'}服务 "${service.name}" 吗?`)) return
@@ -19,7 +21,7 @@ const ServiceItem = ({ service, account, project, onLogs }) => {
 
     performAction({
       action,
-      token: account.token,
+      accountId: account.id,
       serviceId: service._id,
       environmentId: envId
     })
@@ -64,46 +66,48 @@ const ServiceItem = ({ service, account, project, onLogs }) => {
         </div>
       )}
 
-      <div className="flex gap-1 mt-auto opacity-80 group-hover:opacity-100 transition-opacity">
-        {service.status === 'RUNNING' && (
+      {canOperate && (
+        <div className="flex gap-1 mt-auto opacity-80 group-hover:opacity-100 transition-opacity">
+          {service.status === 'RUNNING' && (
+            <Button 
+              variant="outline" 
+              size="icon" 
+              className="h-6 w-6" 
+              title="暂停"
+              disabled={isPending}
+              onClick={() => handleAction('pause')}
+            >
+              <Pause className="h-3 w-3" />
+            </Button>
+          )}
           <Button 
             variant="outline" 
             size="icon" 
             className="h-6 w-6" 
-            title="暂停"
+            title={service.status === 'SUSPENDED' ? '启动' : '重启'}
             disabled={isPending}
-            onClick={() => handleAction('pause')}
+            onClick={() => handleAction('restart')}
           >
-            <Pause className="h-3 w-3" />
+            {service.status === 'SUSPENDED' ? <Play className="h-3 w-3" /> : <RotateCw className="h-3 w-3" />}
           </Button>
-        )}
-        <Button 
-          variant="outline" 
-          size="icon" 
-          className="h-6 w-6" 
-          title={service.status === 'SUSPENDED' ? '启动' : '重启'}
-          disabled={isPending}
-          onClick={() => handleAction('restart')}
-        >
-          {service.status === 'SUSPENDED' ? <Play className="h-3 w-3" /> : <RotateCw className="h-3 w-3" />}
-        </Button>
-        <Button
-          variant="outline"
-          size="icon"
-          className="h-6 w-6"
-          title="日志"
-          onClick={() => onLogs({
-            name: service.name,
-            token: account.token,
-            serviceId: service._id,
-            environmentId: project.environments?.[0]?._id,
-            projectId: project._id,
-            projectName: project.name
-          })}
-        >
-          <FileText className="h-3 w-3" />
-        </Button>
-      </div>
+          <Button
+            variant="outline"
+            size="icon"
+            className="h-6 w-6"
+            title="日志"
+            onClick={() => onLogs({
+              name: service.name,
+              accountId: account.id,
+              serviceId: service._id,
+              environmentId: project.environments?.[0]?._id,
+              projectId: project._id,
+              projectName: project.name
+            })}
+          >
+            <FileText className="h-3 w-3" />
+          </Button>
+        </div>
+      )}
     </div>
   )
 }
@@ -112,6 +116,7 @@ const ProjectCard = ({ project, account, onLogs }) => {
   const [isEditing, setIsEditing] = useState(false)
   const [editName, setEditName] = useState(project.name)
   const { mutate: rename, isPending: isRenaming } = useRenameProject()
+  const canOperate = useHasRole('operator')
 
   const handleRename = () => {
     if (editName.trim() === project.name) {
@@ -119,7 +124,7 @@ const ProjectCard = ({ project, account, onLogs }) => {
       return
     }
     rename({
-      accountId: account.id || account.name,
+      accountId: account.id,
       projectId: project._id,
       newName: editName
     }, {
@@ -157,14 +162,16 @@ const ProjectCard = ({ project, account, onLogs }) => {
             ) : (
               <div className="flex items-center gap-1 group/title">
                 <h4 className="font-bold text-sm truncate" title={project.name}>{project.name}</h4>
-                <Button 
-                  size="icon" 
-                  variant="ghost" 
-                  className="h-5 w-5 opacity-0 group-hover/title:opacity-100 transition-opacity"
-                  onClick={() => { setEditName(project.name); setIsEditing(true) }}
-                >
-                  <Pencil className="h-3 w-3 text-muted-foreground" />
-                </Button>
+                {canOperate && (
+                  <Button 
+                    size="icon" 
+                    variant="ghost" 
+                    className="h-5 w-5 opacity-0 group-hover/title:opacity-100 transition-opacity"
+                    onClick={() => { setEditName(project.name); setIsEditing(true) }}
+                  >
+                    <Pencil className="h-3 w-3 text-muted-foreground" />
+                  </Button>
+                )}
               </div>
             )}
             <div className="text-xs text-muted-foreground flex gap-2 mt-1">
@@ -199,6 +206,60 @@ const ProjectCard = ({ project, account, onLogs }) => {
   )
 }
 
+// Token health reported by the server (valid / invalid / forbidden / unreachable)
+const TOKEN_HEALTH = {
+  invalid: { label: 'Token 失效', variant: 'destructive' },
+  forbidden: { label: 'Token 无权限', variant: 'destructive' },
+  unreachable: { label: '无法连接', variant: 'warning' }
+}
+
+const isTokenBroken = (health) => health?.status === 'invalid' || health?.status === 'forbidden'
+
+const TokenReplaceForm = ({ account }) => {
+  const [token, setToken] = useState('')
+  const { mutate: updateAccount, isPending } = useUpdateAccount()
+  const { mutate: refresh } = useRefreshDashboard()
+  const canOperate = useHasRole('operator')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!token.trim()) return
+    updateAccount({ accountId: account.id, token: token.trim() }, {
+      onSuccess: () => {
+        setToken('')
+        toast.success('Token 已替换')
+        // The server has already started a poll; wait for it so the card shows fresh data
+        refresh()
+      }
+    })
+  }
+
+  return (
+    <div className="col-span-full p-4 bg-destructive/10 rounded-lg text-sm space-y-3">
+      <div className="flex items-center gap-2 text-destructive font-medium">
+        <KeyRound className="h-4 w-4" />
+        API Token 已失效，请替换
+      </div>
+      <div className="text-xs text-muted-foreground">
+        {account.tokenHealth?.error || account.error}
+        {account.tokenHealth?.lastSuccessAt && ` · 最后一次成功: ${new Date(account.tokenHealth.lastSuccessAt).toLocaleString()}`}
+      </div>
+      {account.readOnly ? (
+        <div className="text-xs text-muted-foreground">该账号在 ACCOUNTS 环境变量中配置，请修改部署配置后重启服务</div>
+      ) : canOperate ? (
+        <form className="flex gap-2" onSubmit={handleSubmit} onClick={e => e.stopPropagation()}>
+          <Input type="password" className="h-9 bg-background" placeholder="新的 API Token (sk-...)" value={token} onChange={e => setToken(e.target.value)} />
+          <Button type="submit" size="sm" disabled={isPending || !token.trim()}>
+            {isPending ? '验证中...' : '替换'}
+          </Button>
+        </form>
+      ) : (
+        <div className="text-xs text-muted-foreground">请联系管理员替换 Token</div>
+      )}
+    </div>
+  )
+}
+
 export const AccountCard = ({ account, onLogs }) => {
   const [expanded, setExpanded] = useState(true)
   const credit = account.data?.credit || 0
@@ -220,14 +281,22 @@ export const AccountCard = ({ account, onLogs }) => {
           <div>
             <div className="font-semibold text-lg flex items-center gap-2">
               {account.name}
-              {account.error && <Badge variant="destructive" className="text-xs">Error</Badge>}
+              {TOKEN_HEALTH[account.tokenHealth?.status] ? (
+                <Badge
+                  variant={TOKEN_HEALTH[account.tokenHealth.status].variant}
+                  className="text-xs"
+                  title={account.tokenHealth.lastSuccessAt ? `最后一次成功: ${new Date(account.tokenHealth.lastSuccessAt).toLocaleString()}` : undefined}
+                >
+                  {TOKEN_HEALTH[account.tokenHealth.status].label}
+                </Badge>
+              ) : account.error && <Badge variant="destructive" className="text-xs">Error</Badge>}
             </div>
             <div className="text-xs text-muted-foreground">
               {account.data?.email ? (
                 // Simple mask
                 account.data.email.replace(/(^..).+(@.+)/, '$1***$2')
               ) : (
-                account.data?.username || 'Loading...'
+                account.data?.username || (account.error ? '-' : 'Loading...')
               )}
             </div>
           </div>
@@ -257,7 +326,9 @@ export const AccountCard = ({ account, onLogs }) => {
         <div className={cn("grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 pl-2", 
           !account.projects?.length && "flex justify-center"
         )}>
-          {account.error ? (
+          {isTokenBroken(account.tokenHealth) ? (
+            <TokenReplaceForm account={account} />
+          ) : account.error ? (
             <div className="col-span-full p-4 text-destructive bg-destructive/10 rounded-lg text-sm">
               {account.error}
             </div>
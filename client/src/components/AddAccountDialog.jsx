@@ -2,24 +2,28 @@ import React, { useState } from 'react'
 import { Dialog } from '@/components/ui/dialog'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
-import { useAddAccount, useAccounts } from '@/hooks/useZeabur'
+import { useAddAccount, useAccounts, useHasRole, useUsers } from '@/hooks/useZeabur'
 
 export function AddAccountDialog({ open, onOpenChange }) {
   const [mode, setMode] = useState('single') // single | batch
   const [name, setName] = useState('')
   const [token, setToken] = useState('')
   const [batchText, setBatchText] = useState('')
-  
+  const [ownerId, setOwnerId] = useState('') // empty = current user
+
+  const isAdmin = useHasRole('admin')
+  const { data: users = [] } = useUsers(open && isAdmin)
   const { mutate: addAccount, isPending } = useAddAccount()
 
   const handleSingleSubmit = (e) => {
     e.preventDefault()
     if (!name || !token) return
     
-    addAccount({ name, token }, {
+    addAccount({ name, token, ownerId: ownerId ? Number(ownerId) : undefined }, {
       onSuccess: () => {
         setName('')
         setToken('')
+        setOwnerId('')
         onOpenChange(false)
       }
     })
@@ -58,6 +62,24 @@ export function AddAccountDialog({ open, onOpenChange }) {
             在 Zeabur 控制台的设置中创建 API Token
           </p>
         </div>
+        {isAdmin && users.length > 0 && (
+          <div className="space-y-2">
+            <label className="text-sm font-medium">所属用户</label>
+            <select
+              className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+              value={ownerId}
+              onChange={e => setOwnerId(e.target.value)}
+            >
+              <option value="">我自己</option>
+              {users.map(user => (
+                <option key={user.id} value={user.id}>{user.username}</option>
+              ))}
+            </select>
+            <p className="text-xs text-muted-foreground">
+              账号只对所属用户可见，只读用户需要由管理员添加账号
+            </p>
+          </div>
+        )}
         
         <div className="pt-2">
           <Button type="submit" className="w-full" disabled={isPending || !name || !token}>
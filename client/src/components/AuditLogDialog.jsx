@@ -0,0 +1,163 @@
+import React, { useState } from 'react'
+import { Dialog } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { useAuditLogs } from '@/hooks/useZeabur'
+import { ChevronLeft, ChevronRight, Loader2 } from 'lucide-react'
+
+const PAGE_SIZE = 30
+
+const ACTION_LABELS = {
+  'auth.login': '登录',
+  'auth.logout': '退出登录',
+  'auth.set_password': '设置管理员密码',
+  'auth.2fa_enable': '启用两步验证',
+  'auth.2fa_disable': '关闭两步验证',
+  'auth.2fa_recovery_codes': '重新生成恢复码',
+  'auth.passkey_register': '添加通行密钥',
+  'auth.passkey_delete': '删除通行密钥',
+  'account.add': '添加账号',
+  'account.update': '修改账号',
+  'account.delete': '删除账号',
+  'account.polling': '切换后台轮询',
+  'service.pause': '暂停服务',
+  'service.restart': '重启服务',
+  'project.rename': '项目改名',
+  'webhook.create': '添加 Webhook',
+  'webhook.update': '修改 Webhook',
+  'webhook.delete': '删除 Webhook',
+  'webhook.test': '测试 Webhook',
+  'webhook.redeliver': '重新投递',
+  'email.update': '修改邮件通知',
+  'email.delete': '删除邮件通知',
+  'user.create': '创建用户',
+  'user.update': '修改用户角色',
+  'user.delete': '删除用户',
+  'user.2fa_reset': '重置两步验证',
+  'cache.clear': '清空缓存'
+}
+
+// Prefix filters (ending with ".") match every action in the group
+const ACTION_GROUPS = [
+  { value: 'auth.', label: '登录相关' },
+  { value: 'account.', label: '账号' },
+  { value: 'service.', label: '服务' },
+  { value: 'project.', label: '项目' },
+  { value: 'webhook.', label: 'Webhook' },
+  { value: 'email.', label: '邮件通知' },
+  { value: 'user.', label: '用户' },
+  { value: 'cache.', label: '缓存' }
+]
+
+const TARGET_LABELS = {
+  account: '账号',
+  project: '项目',
+  service: '服务',
+  newName: '新名称',
+  webhook: 'Webhook',
+  name: '名称',
+  delivery: '投递记录',
+  user: '用户',
+  role: '角色',
+  enabled: '启用',
+  count: '账号数量',
+  twoFactor: '两步验证',
+  method: '方式',
+  passkey: '通行密钥',
+  tokenReplaced: '替换 Token',
+  position: '位置'
+}
+
+const selectClass = "flex h-9 rounded-md border border-input bg-background px-2 py-1 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+
+function formatTarget(target) {
+  return Object.entries(target || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${TARGET_LABELS[key] || key}: ${value}`)
+    .join(' · ')
+}
+
+export function AuditLogDialog({ open, onOpenChange }) {
+  const [filters, setFilters] = useState({ action: '', username: '', result: '', account: '' })
+  const [page, setPage] = useState(0)
+  const { data, isLoading, isFetching } = useAuditLogs({ ...filters, limit: PAGE_SIZE, offset: page * PAGE_SIZE }, open)
+
+  const update = (patch) => {
+    setFilters(f => ({ ...f, ...patch }))
+    setPage(0)
+  }
+
+  const total = data?.total || 0
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange} title="审计日志" className="max-w-3xl">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+        <select className={selectClass} value={filters.action} onChange={e => update({ action: e.target.value })}>
+          <option value="">全部操作</option>
+          {ACTION_GROUPS.map(group => (
+            <optgroup key={group.value} label={group.label}>
+              <option value={group.value}>全部{group.label}</option>
+              {Object.entries(ACTION_LABELS)
+                .filter(([action]) => action.startsWith(group.value))
+                .map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+            </optgroup>
+          ))}
+        </select>
+        <select className={selectClass} value={filters.result} onChange={e => update({ result: e.target.value })}>
+          <option value="">全部结果</option>
+          <option value="success">成功</option>
+          <option value="failure">失败</option>
+        </select>
+        <Input className="h-9" placeholder="操作者" value={filters.username} onChange={e => update({ username: e.target.value.trim() })} />
+        <Input className="h-9" placeholder="账号名称" value={filters.account} onChange={e => update({ account: e.target.value.trim() })} />
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-10">
+          <Loader2 className="h-6 w-6 animate-spin text-primary/50" />
+        </div>
+      ) : !data?.data?.length ? (
+        <div className="text-center text-muted-foreground py-10">暂无审计日志</div>
+      ) : (
+        <div className="space-y-2 max-h-[55vh] overflow-y-auto">
+          {data.data.map(log => (
+            <div key={log.id} className="p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border text-sm">
+              <div className="flex items-center gap-2">
+                <Badge variant={log.result === 'success' ? 'success' : 'destructive'}>
+                  {log.result === 'success' ? '成功' : '失败'}
+                </Badge>
+                <span className="font-medium">{ACTION_LABELS[log.action] || log.action}</span>
+                <span className="text-muted-foreground">{log.username || '-'}</span>
+                <span className="ml-auto text-xs text-muted-foreground">{new Date(log.createdAt).toLocaleString()}</span>
+              </div>
+              {formatTarget(log.target) && (
+                <div className="mt-1 text-xs break-all">{formatTarget(log.target)}</div>
+              )}
+              <div className="mt-1 text-xs text-muted-foreground flex gap-3 min-w-0">
+                <span>{log.ip || '-'}</span>
+                <span>HTTP {log.statusCode ?? '-'}</span>
+                <span className="truncate" title={log.userAgent || ''}>{log.userAgent || '-'}</span>
+              </div>
+              {log.error && <div className="mt-1 text-xs text-red-500 break-all">{log.error}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-3 text-xs text-muted-foreground">
+        <span>共 {total} 条{isFetching && !isLoading ? ' · 加载中...' : ''}</span>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="icon" className="h-7 w-7" disabled={page === 0} onClick={() => setPage(p => p - 1)}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <span>{page + 1} / {pageCount}</span>
+          <Button variant="outline" size="icon" className="h-7 w-7" disabled={page + 1 >= pageCount} onClick={() => setPage(p => p + 1)}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
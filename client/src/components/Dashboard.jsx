@@ -1,28 +1,36 @@
 import React, { useState } from 'react'
 import { useAuth } from '@/hooks/useAuth'
-import { useAccounts, useDashboardData, useVersion, useDeleteAccount } from '@/hooks/useZeabur'
+import { useAccounts, useDashboardData, useVersion, useCurrentUser, useHasRole, ROLE_LABELS, useRefreshDashboard } from '@/hooks/useZeabur'
 import { AccountCard } from './AccountCard'
 import { AddAccountDialog } from './AddAccountDialog'
 import { LogsDialog } from './LogsDialog'
+import { NotificationsDialog } from './NotificationsDialog'
+import { AuditLogDialog } from './AuditLogDialog'
+import { SecurityDialog } from './SecurityDialog'
+import { ManageAccountsDialog } from './ManageAccountsDialog'
 import { Button } from '@/components/ui/button'
-import { LogOut, Plus, RefreshCw, Trash2, LayoutGrid, Github, Loader2 } from 'lucide-react'
-import { Badge } from '@/components/ui/badge'
-import { Dialog } from '@/components/ui/dialog'
+import { LogOut, Plus, RefreshCw, LayoutGrid, Github, Loader2, Bell, User, ScrollText } from 'lucide-react'
 import toast from 'react-hot-toast'
 
 function Dashboard() {
   const { logout } = useAuth()
   const [showAdd, setShowAdd] = useState(false)
   const [showManage, setShowManage] = useState(false)
+  const [showNotifications, setShowNotifications] = useState(false)
+  const [showAudit, setShowAudit] = useState(false)
+  const [showSecurity, setShowSecurity] = useState(false)
   
   // Logs state
   const [logsOpen, setLogsOpen] = useState(false)
   const [selectedService, setSelectedService] = useState(null)
 
   const { data: accountsList } = useAccounts()
-  const { data: dashboardData, isLoading, refetch, isRefetching } = useDashboardData(accountsList)
+  const { data: dashboardData, isLoading } = useDashboardData(accountsList)
   const { data: version } = useVersion()
-  const { mutate: deleteAccount } = useDeleteAccount()
+  const { data: currentUser } = useCurrentUser()
+  const canOperate = useHasRole('operator')
+  const isAdmin = useHasRole('admin')
+  const { mutate: refresh, isPending: isRefreshing } = useRefreshDashboard()
 
   const handleLogs = (serviceInfo) => {
     setSelectedService(serviceInfo)
@@ -61,9 +69,35 @@ function Dashboard() {
                 <span className="ml-2 text-orange-500 font-bold">New: {version.latest}</span>
               )}
             </div>
-            <Button variant="outline" size="sm" onClick={() => setShowManage(true)}>
-              管理账号
-            </Button>
+            {canOperate && (
+              <>
+                <Button variant="outline" size="sm" onClick={() => setShowNotifications(true)} title="通知设置">
+                  <Bell className="h-4 w-4 sm:mr-2" />
+                  <span className="hidden sm:inline">通知</span>
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => setShowManage(true)}>
+                  管理账号
+                </Button>
+              </>
+            )}
+            {isAdmin && (
+              <Button variant="outline" size="sm" onClick={() => setShowAudit(true)} title="审计日志">
+                <ScrollText className="h-4 w-4 sm:mr-2" />
+                <span className="hidden sm:inline">审计</span>
+              </Button>
+            )}
+            {currentUser && (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="hidden sm:flex text-muted-foreground"
+                onClick={() => setShowSecurity(true)}
+                title={`${ROLE_LABELS[currentUser.role]} · 账号安全`}
+              >
+                <User className="h-4 w-4 mr-1" />
+                {currentUser.username}
+              </Button>
+            )}
             <Button variant="ghost" size="icon" onClick={logout} title="退出登录">
               <LogOut className="h-4 w-4" />
             </Button>
@@ -75,14 +109,18 @@ function Dashboard() {
         {/* Actions & Summary */}
         <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
            <div className="flex gap-2">
-             <Button onClick={refetch} disabled={isRefetching} variant="outline" className={isRefetching ? "animate-pulse" : ""}>
-               <RefreshCw className={isRefetching ? "h-4 w-4 mr-2 animate-spin" : "h-4 w-4 mr-2"} />
-               刷新数据
-             </Button>
-             <Button onClick={() => setShowAdd(true)}>
-               <Plus className="h-4 w-4 mr-2" />
-               添加账号
-             </Button>
+             {canOperate && (
+               <>
+                 <Button onClick={() => refresh()} disabled={isRefreshing} variant="outline" className={isRefreshing ? "animate-pulse" : ""}>
+                   <RefreshCw className={isRefreshing ? "h-4 w-4 mr-2 animate-spin" : "h-4 w-4 mr-2"} />
+                   刷新数据
+                 </Button>
+                 <Button onClick={() => setShowAdd(true)}>
+                   <Plus className="h-4 w-4 mr-2" />
+                   添加账号
+                 </Button>
+               </>
+             )}
            </div>
            
            {/* Summary Cards */}
@@ -115,7 +153,7 @@ function Dashboard() {
           <div>
             {dashboardData?.map((account) => (
               <AccountCard
-                key={account.name}
+                key={account.id}
                 account={account}
                 onLogs={handleLogs}
               />
@@ -124,8 +162,14 @@ function Dashboard() {
             {(!dashboardData || dashboardData.length === 0) && (
               <div className="text-center py-20 bg-slate-50 dark:bg-slate-900 rounded-xl border border-dashed">
                 <h3 className="text-lg font-semibold text-muted-foreground">暂无账号</h3>
-                <p className="text-sm text-slate-400 mb-4">添加一个 Zeabur 账号以开始监控</p>
-                <Button onClick={() => setShowAdd(true)}>立即添加</Button>
+                {canOperate ? (
+                  <>
+                    <p className="text-sm text-slate-400 mb-4">添加一个 Zeabur 账号以开始监控</p>
+                    <Button onClick={() => setShowAdd(true)}>立即添加</Button>
+                  </>
+                ) : (
+                  <p className="text-sm text-slate-400">当前为只读权限，请联系管理员为你添加账号</p>
+                )}
               </div>
             )}
           </div>
@@ -139,30 +183,11 @@ function Dashboard() {
         onOpenChange={setLogsOpen} 
         serviceInfo={selectedService} 
       />
+      <NotificationsDialog open={showNotifications} onOpenChange={setShowNotifications} />
+      <AuditLogDialog open={showAudit} onOpenChange={setShowAudit} />
+      <SecurityDialog open={showSecurity} onOpenChange={setShowSecurity} />
       
-      {/* Manage Accounts Dialog (Simple List) */}
-      <Dialog open={showManage} onOpenChange={setShowManage} title="管理账号">
-        <div className="space-y-4">
-           {accountsList?.map((acc, idx) => (
-             <div key={idx} className="flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border">
-               <div>
-                 <div className="font-medium">{acc.name}</div>
-                 <div className="text-xs text-muted-foreground truncate max-w-[200px]">{acc.email || '***'}</div>
-               </div>
-               <Button 
-                 variant="destructive" 
-                 size="sm" 
-                 onClick={() => {
-                   if(confirm('确认删除?')) deleteAccount(idx)
-                 }}
-               >
-                 <Trash2 className="h-4 w-4" />
-               </Button>
-             </div>
-           ))}
-           {(!accountsList || accountsList.length === 0) && <div className="text-center text-muted-foreground">暂无账号</div>}
-        </div>
-      </Dialog>
+      <ManageAccountsDialog open={showManage} onOpenChange={setShowManage} accounts={accountsList} dashboardData={dashboardData} />
     </div>
   )
 }
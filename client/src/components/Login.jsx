@@ -2,7 +2,8 @@ import React, { useState } from 'react'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from "@/components/ui/card"
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
-import { Lock, AlertTriangle, Key, Copy, Check } from "lucide-react"
+import { Lock, AlertTriangle, Key, Copy, Check, ShieldCheck, KeyRound } from "lucide-react"
+import { browserSupportsWebAuthn } from "@simplewebauthn/browser"
 import toast from 'react-hot-toast'
 
 export function EncryptionWarning({ secret }) {
@@ -112,16 +113,35 @@ export function SetPassword({ onSet }) {
   )
 }
 
-export function Login({ onLogin }) {
+export function Login({ onLogin, onPasskeyLogin }) {
+  const [username, setUsername] = useState('admin')
   const [password, setPass] = useState('')
+  const [code, setCode] = useState('')
+  const [needCode, setNeedCode] = useState(false)
   const [loading, setLoading] = useState(false)
 
   const handleSubmit = async (e) => {
     e.preventDefault()
-    if (!password) return
+    if (!username || !password) return
+    if (needCode && !code.trim()) return
     setLoading(true)
-    await onLogin(password)
+    const result = await onLogin(username.trim(), password, needCode ? code.trim() : undefined)
     setLoading(false)
+    if (result === 'two-factor') {
+      setNeedCode(true)
+      setCode('')
+    }
+  }
+
+  const handlePasskey = async () => {
+    setLoading(true)
+    await onPasskeyLogin()
+    setLoading(false)
+  }
+
+  const backToPassword = () => {
+    setNeedCode(false)
+    setCode('')
   }
 
   return (
@@ -129,23 +149,58 @@ export function Login({ onLogin }) {
       <Card className="w-full max-w-md glass-card">
         <CardHeader className="text-center">
           <div className="mx-auto bg-primary/10 w-12 h-12 rounded-full flex items-center justify-center mb-4">
-            <Lock className="h-6 w-6 text-primary" />
+            {needCode ? <ShieldCheck className="h-6 w-6 text-primary" /> : <Lock className="h-6 w-6 text-primary" />}
           </div>
-          <CardTitle>管理员登录</CardTitle>
-          <CardDescription>请输入密码以继续</CardDescription>
+          <CardTitle>{needCode ? '两步验证' : '登录'}</CardTitle>
+          <CardDescription>
+            {needCode
+              ? '请输入验证器中的 6 位验证码，或使用一次性恢复码'
+              : '请输入用户名和密码以继续，管理员用户名为 admin'}
+          </CardDescription>
         </CardHeader>
         <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <Input 
-              type="password" 
-              placeholder="密码" 
-              value={password}
-              onChange={e => setPass(e.target.value)}
-            />
-            <Button type="submit" className="w-full" disabled={loading}>
-              {loading ? '登录中...' : '登录'}
-            </Button>
-          </form>
+          {needCode ? (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Input
+                placeholder="验证码或恢复码"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={e => setCode(e.target.value)}
+              />
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading ? '验证中...' : '验证'}
+              </Button>
+              <Button type="button" variant="ghost" className="w-full" onClick={backToPassword}>
+                返回
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Input 
+                placeholder="用户名" 
+                autoComplete="username"
+                value={username}
+                onChange={e => setUsername(e.target.value)}
+              />
+              <Input 
+                type="password" 
+                placeholder="密码" 
+                autoComplete="current-password"
+                value={password}
+                onChange={e => setPass(e.target.value)}
+              />
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading ? '登录中...' : '登录'}
+              </Button>
+              {browserSupportsWebAuthn() && (
+                <Button type="button" variant="outline" className="w-full" disabled={loading} onClick={handlePasskey}>
+                  <KeyRound className="h-4 w-4 mr-2" />
+                  使用通行密钥登录
+                </Button>
+              )}
+            </form>
+          )}
         </CardContent>
       </Card>
     </div>
@@ -16,7 +16,7 @@ export function LogsDialog({ open, onOpenChange, serviceInfo }) {
       setLogs([])
       setError(null)
       fetchLogs({
-        token: serviceInfo.token,
+        accountId: serviceInfo.accountId,
         serviceId: serviceInfo.serviceId,
         environmentId: serviceInfo.environmentId,
         projectId: serviceInfo.projectId
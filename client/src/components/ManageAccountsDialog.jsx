@@ -0,0 +1,115 @@
+import React, { useState } from 'react'
+import { Dialog } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { useDeleteAccount, useUpdateAccount, useAccountPolling } from '@/hooks/useZeabur'
+import { ArrowDown, ArrowUp, Check, Pencil, PauseCircle, PlayCircle, Trash2, X } from 'lucide-react'
+
+export function ManageAccountsDialog({ open, onOpenChange, accounts, dashboardData }) {
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+
+  const { mutate: deleteAccount } = useDeleteAccount()
+  const { mutate: updateAccount, isPending: isUpdating } = useUpdateAccount()
+  const { mutate: setPolling } = useAccountPolling()
+
+  // Positions only count saved accounts; env accounts are always listed first and cannot move
+  const saved = (accounts || []).filter(acc => !acc.readOnly)
+
+  const startRename = (acc) => {
+    setEditingId(acc.id)
+    setEditName(acc.name)
+  }
+
+  const submitRename = (acc) => {
+    const name = editName.trim()
+    if (!name || name === acc.name) {
+      setEditingId(null)
+      return
+    }
+    updateAccount({ accountId: acc.id, name }, {
+      onSuccess: () => setEditingId(null)
+    })
+  }
+
+  const move = (acc, offset) => {
+    updateAccount({ accountId: acc.id, position: saved.indexOf(acc) + offset })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange} title="管理账号">
+      <div className="space-y-4">
+        {accounts?.map(acc => {
+          const pollingEnabled = dashboardData?.find(d => d.id === acc.id)?.pollingEnabled !== false
+          const position = saved.indexOf(acc)
+          return (
+            <div key={acc.id} className="flex items-center justify-between gap-2 p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border">
+              <div className="min-w-0 flex-1">
+                {editingId === acc.id ? (
+                  <form
+                    className="flex items-center gap-1"
+                    onSubmit={e => {
+                      e.preventDefault()
+                      submitRename(acc)
+                    }}
+                  >
+                    <Input className="h-8" value={editName} maxLength={50} autoFocus onChange={e => setEditName(e.target.value)} />
+                    <Button type="submit" variant="ghost" size="icon" className="h-8 w-8" disabled={isUpdating}>
+                      <Check className="h-4 w-4" />
+                    </Button>
+                    <Button type="button" variant="ghost" size="icon" className="h-8 w-8" onClick={() => setEditingId(null)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </form>
+                ) : (
+                  <div className="font-medium flex items-center gap-2">
+                    {acc.name}
+                    {acc.readOnly && <Badge variant="outline" className="text-[10px]" title="在 ACCOUNTS 环境变量中配置，只能通过修改部署配置更改">环境变量</Badge>}
+                    {!pollingEnabled && <Badge variant="secondary" className="text-[10px]">已暂停轮询</Badge>}
+                  </div>
+                )}
+                <div className="text-xs text-muted-foreground truncate max-w-[200px]">{acc.email || acc.maskedToken || '***'}</div>
+              </div>
+              <div className="flex gap-1">
+                {!acc.readOnly && (
+                  <>
+                    <Button variant="ghost" size="sm" title="上移" disabled={isUpdating || position === 0} onClick={() => move(acc, -1)}>
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" title="下移" disabled={isUpdating || position === saved.length - 1} onClick={() => move(acc, 1)}>
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" title="重命名" onClick={() => startRename(acc)}>
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                  </>
+                )}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  title={pollingEnabled ? '暂停后台轮询' : '恢复后台轮询'}
+                  onClick={() => setPolling({ accountId: acc.id, enabled: !pollingEnabled })}
+                >
+                  {pollingEnabled ? <PauseCircle className="h-4 w-4" /> : <PlayCircle className="h-4 w-4" />}
+                </Button>
+                <Button
+                  variant="destructive"
+                  size="sm"
+                  disabled={acc.readOnly}
+                  title={acc.readOnly ? '环境变量中的账号为只读' : '删除账号'}
+                  onClick={() => {
+                    if (confirm('确认删除?')) deleteAccount(acc.id)
+                  }}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )
+        })}
+        {(!accounts || accounts.length === 0) && <div className="text-center text-muted-foreground">暂无账号</div>}
+      </div>
+    </Dialog>
+  )
+}
@@ -0,0 +1,378 @@
+import React, { useState } from 'react'
+import { Dialog } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import {
+  useWebhooks,
+  useWebhookMeta,
+  useSaveWebhook,
+  usePatchWebhook,
+  useDeleteWebhook,
+  useTestWebhook,
+  useWebhookDeliveries,
+  useRedeliverWebhook
+} from '@/hooks/useZeabur'
+import { ArrowLeft, History, Loader2, Pencil, Plus, Power, RotateCcw, Send, Trash2 } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const CHANNEL_LABELS = {
+  generic: '通用 Webhook',
+  discord: 'Discord',
+  slack: 'Slack',
+  feishu: '飞书',
+  dingtalk: '钉钉',
+  wecom: '企业微信',
+  telegram: 'Telegram',
+  bark: 'Bark',
+  serverchan: 'Server酱',
+  pushplus: 'PushPlus',
+  ntfy: 'ntfy',
+  gotify: 'Gotify'
+}
+
+const URL_PLACEHOLDERS = {
+  generic: 'https://example.com/webhook',
+  discord: 'https://discord.com/api/webhooks/...',
+  slack: 'https://hooks.slack.com/services/...',
+  feishu: 'https://open.feishu.cn/open-apis/bot/v2/hook/...',
+  dingtalk: 'https://oapi.dingtalk.com/robot/send?access_token=...',
+  wecom: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...',
+  telegram: 'https://api.telegram.org/bot<token>/sendMessage',
+  bark: 'bark://<key> 或 bark://host/<key>',
+  serverchan: 'schan://<SendKey>',
+  pushplus: 'pushplus://<token>',
+  ntfy: 'ntfy://<topic> 或 ntfy://host/<topic>',
+  gotify: 'gotify://host/<token>'
+}
+
+// 这些渠道使用 secret 签名
+const SECRET_TYPES = ['generic', 'feishu', 'dingtalk']
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  type: 'generic',
+  url: '',
+  secret: '',
+  chatId: '',
+  allEvents: true,
+  events: [],
+  enabled: true
+}
+
+function toForm(webhook) {
+  return {
+    id: webhook.id,
+    name: webhook.name || '',
+    type: webhook.type || 'generic',
+    url: webhook.url,
+    secret: webhook.secret || '',
+    chatId: webhook.options?.chatId || '',
+    allEvents: !webhook.events,
+    events: webhook.events || [],
+    enabled: webhook.enabled !== false
+  }
+}
+
+function toPayload(form) {
+  return {
+    id: form.id,
+    name: form.name || undefined,
+    type: form.type,
+    url: form.url.trim(),
+    secret: SECRET_TYPES.includes(form.type) ? form.secret : '',
+    options: form.type === 'telegram' ? { chatId: form.chatId.trim() } : {},
+    events: form.allEvents ? undefined : form.events,
+    enabled: form.enabled
+  }
+}
+
+function WebhookForm({ initial, meta, onDone }) {
+  const [form, setForm] = useState(initial)
+  const { mutate: saveWebhook, isPending: isSaving } = useSaveWebhook()
+  const { mutate: testWebhook, isPending: isTesting } = useTestWebhook()
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }))
+
+  const toggleEvent = (eventId) => {
+    update({
+      events: form.events.includes(eventId)
+        ? form.events.filter(e => e !== eventId)
+        : [...form.events, eventId]
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!form.allEvents && form.events.length === 0) {
+      toast.error('请至少选择一个事件')
+      return
+    }
+    saveWebhook(toPayload(form), {
+      onSuccess: () => {
+        toast.success(form.id ? 'Webhook 已更新' : 'Webhook 已添加')
+        onDone()
+      }
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">名称</label>
+          <Input placeholder="运维群" value={form.name} onChange={e => update({ name: e.target.value })} />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium">渠道类型</label>
+          <select
+            className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+            value={form.type}
+            onChange={e => update({ type: e.target.value })}
+          >
+            {(meta?.types || Object.keys(CHANNEL_LABELS)).map(type => (
+              <option key={type} value={type}>{CHANNEL_LABELS[type] || type}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm font-medium">地址</label>
+        <Input
+          placeholder={URL_PLACEHOLDERS[form.type]}
+          value={form.url}
+          onChange={e => update({ url: e.target.value })}
+        />
+      </div>
+
+      {SECRET_TYPES.includes(form.type) && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">签名密钥（可选）</label>
+          <Input type="password" value={form.secret} onChange={e => update({ secret: e.target.value })} />
+        </div>
+      )}
+
+      {form.type === 'telegram' && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Chat ID</label>
+          <Input placeholder="-1001234567890" value={form.chatId} onChange={e => update({ chatId: e.target.value })} />
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <label className="text-sm font-medium">订阅事件</label>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.allEvents} onChange={e => update({ allEvents: e.target.checked })} />
+          全部事件
+        </label>
+        {!form.allEvents && (
+          <div className="grid grid-cols-2 gap-1 p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border">
+            {meta?.events.map(event => (
+              <label key={event.id} className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={form.events.includes(event.id)} onChange={() => toggleEvent(event.id)} />
+                {event.title}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.enabled} onChange={e => update({ enabled: e.target.checked })} />
+        启用
+      </label>
+
+      <div className="flex gap-2 pt-2">
+        <Button type="button" variant="ghost" onClick={onDone}>取消</Button>
+        <Button
+          type="button"
+          variant="outline"
+          className="ml-auto"
+          disabled={isTesting || !form.url}
+          onClick={() => testWebhook(toPayload(form))}
+        >
+          {isTesting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+          发送测试
+        </Button>
+        <Button type="submit" disabled={isSaving || !form.url}>
+          {isSaving ? '保存中...' : '保存'}
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+function DeliveryList({ webhook }) {
+  const { data: deliveries, isLoading } = useWebhookDeliveries(webhook.id)
+  const { mutate: redeliver, isPending, variables } = useRedeliverWebhook()
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-10">
+        <Loader2 className="h-6 w-6 animate-spin text-primary/50" />
+      </div>
+    )
+  }
+
+  if (!deliveries || deliveries.length === 0) {
+    return <div className="text-center text-muted-foreground py-10">暂无投递记录</div>
+  }
+
+  return (
+    <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+      {deliveries.map(delivery => (
+        <div key={delivery.id} className="p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border text-sm">
+          <div className="flex items-center gap-2">
+            <Badge variant={delivery.status === 'success' ? 'success' : delivery.status === 'pending' ? 'secondary' : 'destructive'}>
+              {delivery.status === 'success' ? '成功' : delivery.status === 'pending' ? '投递中' : '失败'}
+            </Badge>
+            <span className="font-medium">{delivery.event}</span>
+            {delivery.redeliveryOf && <Badge variant="outline" className="text-[10px]">重新投递</Badge>}
+            <span className="ml-auto text-xs text-muted-foreground">{new Date(delivery.createdAt).toLocaleString()}</span>
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              title="重新投递"
+              disabled={isPending && variables === delivery.id}
+              onClick={() => redeliver(delivery.id)}
+            >
+              <RotateCcw className={isPending && variables === delivery.id ? 'h-3 w-3 animate-spin' : 'h-3 w-3'} />
+            </Button>
+          </div>
+          <div className="mt-1 text-xs text-muted-foreground flex gap-3">
+            <span>HTTP {delivery.statusCode ?? '-'}</span>
+            <span>{delivery.latency ?? '-'}ms</span>
+            <span>尝试 {delivery.attempts} 次</span>
+          </div>
+          {delivery.error && <div className="mt-1 text-xs text-red-500 break-all">{delivery.error}</div>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export function NotificationsDialog({ open, onOpenChange }) {
+  // view: list | form | deliveries
+  const [view, setView] = useState('list')
+  const [current, setCurrent] = useState(null)
+
+  const { data: webhooks, isLoading } = useWebhooks()
+  const { data: meta } = useWebhookMeta()
+  const { mutate: patchWebhook } = usePatchWebhook()
+  const { mutate: deleteWebhook } = useDeleteWebhook()
+  const { mutate: testWebhook, isPending: isTesting, variables: testing } = useTestWebhook()
+
+  const eventTitle = (id) => meta?.events.find(e => e.id === id)?.title || id
+
+  const showList = () => {
+    setView('list')
+    setCurrent(null)
+  }
+
+  const handleOpenChange = (value) => {
+    if (!value) showList()
+    onOpenChange(value)
+  }
+
+  const toggleEnabled = (webhook) => {
+    patchWebhook({ id: webhook.id, enabled: webhook.enabled === false }, {
+      onSuccess: () => toast.success(webhook.enabled === false ? 'Webhook 已启用' : 'Webhook 已停用')
+    })
+  }
+
+  const title = view === 'form'
+    ? (current?.id ? '编辑 Webhook' : '添加 Webhook')
+    : view === 'deliveries'
+      ? `投递记录 - ${current?.name || CHANNEL_LABELS[current?.type] || 'Webhook'}`
+      : '通知设置'
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange} title={title} className="max-w-2xl">
+      {view !== 'list' && (
+        <Button variant="ghost" size="sm" className="mb-3 -ml-2" onClick={showList}>
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          返回
+        </Button>
+      )}
+
+      {view === 'form' && <WebhookForm initial={current} meta={meta} onDone={showList} />}
+
+      {view === 'deliveries' && current && <DeliveryList webhook={current} />}
+
+      {view === 'list' && (
+        <div className="space-y-3">
+          {isLoading ? (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-6 w-6 animate-spin text-primary/50" />
+            </div>
+          ) : (
+            <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+              {webhooks?.map(webhook => (
+                <div key={webhook.id} className="p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border">
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                      <div className="font-medium flex items-center gap-2">
+                        {webhook.name || CHANNEL_LABELS[webhook.type] || 'Webhook'}
+                        <Badge variant="info" className="text-[10px]">{CHANNEL_LABELS[webhook.type] || webhook.type}</Badge>
+                        {webhook.enabled === false && <Badge variant="secondary" className="text-[10px]">已停用</Badge>}
+                      </div>
+                      <div className="text-xs text-muted-foreground truncate max-w-[320px]">{webhook.url}</div>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      <Button variant="ghost" size="icon" className="h-8 w-8" title={webhook.enabled === false ? '启用' : '停用'} onClick={() => toggleEnabled(webhook)}>
+                        <Power className={webhook.enabled === false ? 'h-4 w-4 text-muted-foreground' : 'h-4 w-4 text-green-500'} />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8"
+                        title="发送测试"
+                        disabled={isTesting && testing?.id === webhook.id}
+                        onClick={() => testWebhook(toPayload(toForm(webhook)))}
+                      >
+                        <Send className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="icon" className="h-8 w-8" title="投递记录" onClick={() => { setCurrent(webhook); setView('deliveries') }}>
+                        <History className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="icon" className="h-8 w-8" title="编辑" onClick={() => { setCurrent(toForm(webhook)); setView('form') }}>
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 text-red-500"
+                        title="删除"
+                        onClick={() => {
+                          if (confirm('确认删除该 Webhook?')) deleteWebhook(webhook.id)
+                        }}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-1">
+                    {webhook.events
+                      ? webhook.events.map(id => <Badge key={id} variant="outline" className="text-[10px]">{eventTitle(id)}</Badge>)
+                      : <Badge variant="outline" className="text-[10px]">全部事件</Badge>}
+                  </div>
+                </div>
+              ))}
+              {(!webhooks || webhooks.length === 0) && (
+                <div className="text-center text-muted-foreground py-10">暂无通知渠道</div>
+              )}
+            </div>
+          )}
+
+          <Button className="w-full" onClick={() => { setCurrent(EMPTY_FORM); setView('form') }}>
+            <Plus className="h-4 w-4 mr-2" />
+            添加 Webhook
+          </Button>
+        </div>
+      )}
+    </Dialog>
+  )
+}
@@ -0,0 +1,242 @@
+import React, { useState } from 'react'
+import { Dialog } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { useTwoFactorStatus, useSetupTwoFactor, useTwoFactorAction, useUsers, useResetUserTwoFactor, useHasRole, usePasskeys, useRegisterPasskey, useDeletePasskey } from '@/hooks/useZeabur'
+import { Copy, Loader2, ShieldCheck, ShieldOff, KeyRound, Trash2 } from 'lucide-react'
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser'
+import toast from 'react-hot-toast'
+
+function RecoveryCodes({ codes, onDone }) {
+  const copyAll = () => {
+    navigator.clipboard.writeText(codes.join('\n'))
+    toast.success('恢复码已复制')
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-orange-600 dark:text-orange-400">
+        请妥善保存以下恢复码。每个恢复码只能使用一次，关闭此窗口后将无法再次查看。
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border font-mono text-sm">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <Button variant="outline" className="flex-1" onClick={copyAll}>
+          <Copy className="h-4 w-4 mr-2" />
+          复制全部
+        </Button>
+        <Button className="flex-1" onClick={onDone}>我已保存</Button>
+      </div>
+    </div>
+  )
+}
+
+function PasskeyList() {
+  const [name, setName] = useState('')
+  const { data: passkeys = [] } = usePasskeys()
+  const register = useRegisterPasskey()
+  const remove = useDeletePasskey()
+
+  if (!browserSupportsWebAuthn()) {
+    return (
+      <div className="border-t pt-4">
+        <h4 className="text-sm font-medium mb-1">通行密钥</h4>
+        <p className="text-xs text-muted-foreground">当前浏览器不支持通行密钥</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="border-t pt-4 space-y-2">
+      <h4 className="text-sm font-medium">通行密钥</h4>
+      <p className="text-xs text-muted-foreground">使用指纹、面容或设备密码直接登录，无需输入密码和验证码。</p>
+      {passkeys.map(passkey => (
+        <div key={passkey.id} className="flex items-center gap-2 text-sm">
+          <KeyRound className="h-4 w-4 text-muted-foreground" />
+          <span className="truncate">{passkey.name}</span>
+          <span className="ml-auto text-xs text-muted-foreground">
+            {passkey.lastUsedAt ? `最后使用 ${new Date(passkey.lastUsedAt).toLocaleDateString()}` : '未使用'}
+          </span>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            disabled={remove.isPending}
+            onClick={() => confirm(`确定删除通行密钥 ${passkey.name} 吗？`) && remove.mutate(passkey.id)}
+          >
+            <Trash2 className="h-4 w-4 text-red-500" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Input className="h-9" placeholder="名称（如：我的笔记本）" value={name} onChange={e => setName(e.target.value)} />
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-9 shrink-0"
+          disabled={register.isPending}
+          onClick={() => register.mutate(name.trim() || undefined, { onSuccess: () => setName('') })}
+        >
+          {register.isPending ? '等待验证...' : '添加通行密钥'}
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+function UserResetList() {
+  const { data: users = [] } = useUsers()
+  const reset = useResetUserTwoFactor()
+  const enrolled = users.filter(user => user.twoFactorEnabled)
+
+  return (
+    <div className="border-t pt-4 space-y-2">
+      <h4 className="text-sm font-medium">用户两步验证</h4>
+      {enrolled.length === 0 ? (
+        <p className="text-xs text-muted-foreground">暂无其他用户启用两步验证</p>
+      ) : enrolled.map(user => (
+        <div key={user.id} className="flex items-center justify-between text-sm">
+          <span>{user.username}</span>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={reset.isPending}
+            onClick={() => confirm(`确定重置用户 ${user.username} 的两步验证吗？`) && reset.mutate(user.id)}
+          >
+            重置
+          </Button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export function SecurityDialog({ open, onOpenChange }) {
+  const [code, setCode] = useState('')
+  const [setup, setSetup] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const isAdmin = useHasRole('admin')
+  const { data: status, isLoading } = useTwoFactorStatus(open)
+  const setupMutation = useSetupTwoFactor()
+  const enable = useTwoFactorAction('enable')
+  const disable = useTwoFactorAction('disable')
+  const regenerate = useTwoFactorAction('recovery-codes')
+
+  const handleOpenChange = (value) => {
+    if (!value) {
+      setCode('')
+      setSetup(null)
+      setRecoveryCodes(null)
+    }
+    onOpenChange(value)
+  }
+
+  const submit = (mutation, onSuccess) => {
+    if (!code.trim()) return toast.error('请输入验证码')
+    mutation.mutate(code.trim(), {
+      onSuccess: (result) => {
+        setCode('')
+        onSuccess(result)
+      }
+    })
+  }
+
+  const copySecret = () => {
+    navigator.clipboard.writeText(setup.secret)
+    toast.success('密钥已复制')
+  }
+
+  let content
+  if (isLoading) {
+    content = (
+      <div className="flex justify-center py-10">
+        <Loader2 className="h-6 w-6 animate-spin text-primary/50" />
+      </div>
+    )
+  } else if (recoveryCodes) {
+    content = <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+  } else if (status?.enabled) {
+    content = (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-sm">
+          <ShieldCheck className="h-5 w-5 text-green-500" />
+          <span>两步验证已启用</span>
+          <Badge variant={status.recoveryCodesRemaining > 2 ? 'secondary' : 'destructive'} className="ml-auto">
+            剩余恢复码 {status.recoveryCodesRemaining}
+          </Badge>
+        </div>
+        <Input placeholder="验证码或恢复码" autoComplete="one-time-code" value={code} onChange={e => setCode(e.target.value)} />
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            className="flex-1"
+            disabled={regenerate.isPending}
+            onClick={() => submit(regenerate, result => setRecoveryCodes(result.recoveryCodes))}
+          >
+            重新生成恢复码
+          </Button>
+          <Button
+            variant="destructive"
+            className="flex-1"
+            disabled={disable.isPending}
+            onClick={() => submit(disable, () => toast.success('已关闭两步验证'))}
+          >
+            <ShieldOff className="h-4 w-4 mr-2" />
+            关闭两步验证
+          </Button>
+        </div>
+      </div>
+    )
+  } else if (setup) {
+    content = (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">使用验证器（Google Authenticator、1Password 等）扫描二维码，或手动输入密钥。</p>
+        <img src={setup.qrCode} alt="两步验证二维码" className="mx-auto w-48 h-48 rounded-lg border bg-white" />
+        <div
+          className="flex items-center justify-between gap-2 p-2 bg-muted rounded-md font-mono text-xs break-all cursor-pointer"
+          onClick={copySecret}
+          title="复制密钥"
+        >
+          {setup.secret}
+          <Copy className="h-4 w-4 shrink-0 text-muted-foreground" />
+        </div>
+        <Input placeholder="输入 6 位验证码完成设置" autoComplete="one-time-code" value={code} onChange={e => setCode(e.target.value)} />
+        <Button
+          className="w-full"
+          disabled={enable.isPending}
+          onClick={() => submit(enable, result => {
+            setSetup(null)
+            setRecoveryCodes(result.recoveryCodes)
+            toast.success('已启用两步验证')
+          })}
+        >
+          启用两步验证
+        </Button>
+      </div>
+    )
+  } else {
+    content = (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          启用后，登录时除密码外还需要输入验证器生成的 6 位验证码。
+        </p>
+        <Button className="w-full" disabled={setupMutation.isPending} onClick={() => setupMutation.mutate(undefined, { onSuccess: setSetup })}>
+          {setupMutation.isPending ? '生成中...' : '开始设置'}
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange} title="账号安全">
+      <div className="space-y-4">
+        <h4 className="text-sm font-medium">两步验证</h4>
+        {content}
+        <PasskeyList />
+        {isAdmin && <UserResetList />}
+      </div>
+    </Dialog>
+  )
+}
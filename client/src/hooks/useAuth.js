@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react'
 import api from '@/lib/api'
 import toast from 'react-hot-toast'
+import { startAuthentication } from '@simplewebauthn/browser'
 
 export function useAuth() {
   const [isAuthenticated, setIsAuthenticated] = useState(false)
@@ -28,8 +29,7 @@ export function useAuth() {
       const token = localStorage.getItem('session_token')
       if (token) {
         try {
-          // Try to fetch accounts as a way to validate session
-          await api.get('/server-accounts')
+          await api.get('/me')
           setIsAuthenticated(true)
         } catch (e) {
           if (e.response?.status === 401) {
@@ -49,17 +49,41 @@ export function useAuth() {
     checkStatus()
   }, [checkStatus])
 
-  const login = async (password) => {
+  // Returns true on success, 'two-factor' when the account needs a verification code
+  const login = async (username, password, code) => {
     try {
-      const res = await api.post('/verify-password', { password })
+      const res = await api.post('/login', { username, password, ...(code ? { code } : {}) })
       if (res.data.success) {
         localStorage.setItem('session_token', res.data.sessionToken)
         setIsAuthenticated(true)
         toast.success('登录成功')
         return true
       }
+      if (res.data.twoFactorRequired) {
+        return 'two-factor'
+      }
     } catch (e) {
       toast.error(e.response?.data?.error || '登录失败')
+      return e.response?.data?.twoFactorRequired ? 'two-factor' : false
+    }
+  }
+
+  const loginWithPasskey = async () => {
+    try {
+      const { data: optionsJSON } = await api.post('/passkeys/login/options')
+      const response = await startAuthentication({ optionsJSON })
+      const res = await api.post('/passkeys/login/verify', { response })
+      if (res.data.success) {
+        localStorage.setItem('session_token', res.data.sessionToken)
+        setIsAuthenticated(true)
+        toast.success('登录成功')
+        return true
+      }
+    } catch (e) {
+      // The user closed the browser prompt
+      if (e.name !== 'NotAllowedError') {
+        toast.error(e.response?.data?.error || e.message || '登录失败')
+      }
       return false
     }
   }
@@ -68,8 +92,8 @@ export function useAuth() {
     try {
       const res = await api.post('/set-password', { password })
       if (res.data.success) {
-        // After setting, automatically login
-        await login(password)
+        // After setting, automatically login as the built-in admin
+        await login('admin', password)
         setHasPassword(true)
         return true
       }
@@ -86,8 +110,8 @@ export function useAuth() {
       // ignore
     }
     localStorage.removeItem('session_token')
-    setIsAuthenticated(false)
-    toast.success('已退出登录')
+    // Reload to reset every useAuth instance and drop the previous user's cached queries
+    window.location.reload()
   }
 
   return {
@@ -97,6 +121,7 @@ export function useAuth() {
     needEncryption,
     suggestedSecret,
     login,
+    loginWithPasskey,
     logout,
     setAdminPassword,
     checkStatus
@@ -1,43 +1,27 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import api from '@/lib/api'
 import toast from 'react-hot-toast'
+import { startRegistration } from '@simplewebauthn/browser'
 
 // Accounts
 export function useAccounts() {
   return useQuery({
     queryKey: ['accounts'],
     queryFn: async () => {
-      const res = await api.get('/server-accounts')
+      const res = await api.get('/accounts')
       return res.data
     },
     staleTime: 1000 * 60 * 5, // 5 mins
   })
 }
 
+// The server validates the token before saving, so adding is a single request
 export function useAddAccount() {
   const queryClient = useQueryClient()
   return useMutation({
-    mutationFn: async ({ name, token }) => {
-      // First validate
-      const validRes = await api.post('/validate-account', { accountName: name, apiToken: token })
-      if (!validRes.data.success) throw new Error(validRes.data.error)
-      
-      // Then add to list (we need to fetch current list first or optimistically update)
-      // The backend API for /server-accounts expects the FULL list
-      // So we usually fetch, push, then save.
-      // But for simplicity in this hook, let's assume the UI handles the "list building" 
-      // OR we implement a proper "add one" pattern if backend supported it.
-      // Backend: POST /api/server-accounts expects { accounts: [...] }
-      
-      // Let's refactor the backend interaction logic in the component or here. 
-      // Better to do it here for "add single".
-      
-      // 1. Get current list
-      const currentList = queryClient.getQueryData(['accounts']) || []
-      const newList = [...currentList, { name, token, email: validRes.data.userData.email }]
-      
-      // 2. Save full list
-      return api.post('/server-accounts', { accounts: newList })
+    mutationFn: async ({ name, token, ownerId }) => {
+      const res = await api.post('/accounts', { name, token, ownerId })
+      return res.data.account
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['accounts'] })
@@ -45,7 +29,25 @@ export function useAddAccount() {
       toast.success('账号添加成功')
     },
     onError: (err) => {
-      toast.error(err.message || '添加失败')
+      toast.error(err.response?.data?.error || '添加失败')
+    }
+  })
+}
+
+// Rename, replace the token or move an account ({ name?, token?, position? })
+export function useUpdateAccount() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ accountId, ...changes }) => {
+      const res = await api.patch(`/accounts/${encodeURIComponent(accountId)}`, changes)
+      return res.data.account
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['accounts'] })
+      queryClient.invalidateQueries({ queryKey: ['dashboard'] })
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '修改失败')
     }
   })
 }
@@ -53,8 +55,8 @@ export function useAddAccount() {
 export function useDeleteAccount() {
   const queryClient = useQueryClient()
   return useMutation({
-    mutationFn: async (index) => {
-      return api.delete(`/server-accounts/${index}`)
+    mutationFn: async (accountId) => {
+      return api.delete(`/accounts/${encodeURIComponent(accountId)}`)
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['accounts'] })
@@ -67,42 +69,62 @@ export function useDeleteAccount() {
   })
 }
 
-// Dashboard Data (Accounts + Projects combined logic from old frontend)
+// Dashboard Data (snapshots collected by the server-side poller)
 export function useDashboardData(accounts) {
   return useQuery({
     queryKey: ['dashboard', accounts], // Depend on accounts list
     queryFn: async () => {
       if (!accounts || accounts.length === 0) return []
 
-      // Strip extra data for the request
-      const accountsPayload = accounts.map(a => ({ name: a.name, token: a.token }))
-
-      // Parallel fetch like in old frontend
-      const [accountsRes, projectsRes] = await Promise.all([
-        api.post('/temp-accounts', { accounts: accountsPayload }),
-        api.post('/temp-projects', { accounts: accountsPayload, projectCosts: {} })
-      ])
-
-      // Merge data - 保留原始 token 用于后续 API 调用
-      return accountsRes.data.map((acc, index) => ({
-        ...acc,
-        token: accounts[index]?.token, // 保留原始 token
-        projects: projectsRes.data[index]?.projects || []
-      }))
+      const res = await api.get('/dashboard')
+      return res.data
     },
     enabled: !!accounts && accounts.length > 0,
     refetchInterval: 90000, // 90s auto refresh
   })
 }
 
+// Trigger an immediate poll instead of waiting for the next scheduled run
+export function useRefreshDashboard() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async () => {
+      const res = await api.post('/poller/run')
+      return res.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['dashboard'] })
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '刷新失败')
+    }
+  })
+}
+
+export function useAccountPolling() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ accountId, enabled }) => {
+      return api.put(`/poller/accounts/${encodeURIComponent(accountId)}`, { enabled })
+    },
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['dashboard'] })
+      toast.success(variables.enabled ? '已恢复后台轮询' : '已暂停后台轮询')
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '操作失败')
+    }
+  })
+}
+
 // Service Actions
 export function useServiceAction() {
   const queryClient = useQueryClient()
   return useMutation({
-    mutationFn: async ({ action, token, serviceId, environmentId }) => {
+    mutationFn: async ({ action, accountId, serviceId, environmentId }) => {
       // action: 'pause' or 'restart'
       const endpoint = action === 'pause' ? '/service/pause' : '/service/restart'
-      return api.post(endpoint, { token, serviceId, environmentId })
+      return api.post(endpoint, { accountId, serviceId, environmentId })
     },
     onSuccess: (_, variables) => {
       queryClient.invalidateQueries({ queryKey: ['dashboard'] })
@@ -117,8 +139,8 @@ export function useServiceAction() {
 // Logs
 export function useServiceLogs() {
   return useMutation({
-    mutationFn: async ({ token, serviceId, environmentId, projectId }) => {
-      const res = await api.post('/service/logs', { token, serviceId, environmentId, projectId, limit: 200 })
+    mutationFn: async ({ accountId, serviceId, environmentId, projectId }) => {
+      const res = await api.post('/service/logs', { accountId, serviceId, environmentId, projectId, limit: 200 })
       return res.data
     }
   })
@@ -141,6 +163,286 @@ export function useRenameProject() {
   })
 }
 
+// Webhooks
+export function useWebhooks() {
+  return useQuery({
+    queryKey: ['webhooks'],
+    queryFn: async () => {
+      const res = await api.get('/webhooks')
+      return res.data
+    }
+  })
+}
+
+export function useWebhookMeta() {
+  return useQuery({
+    queryKey: ['webhook-meta'],
+    queryFn: async () => {
+      const res = await api.get('/webhooks/meta')
+      return res.data
+    },
+    staleTime: Infinity
+  })
+}
+
+export function useSaveWebhook() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ id, ...webhook }) => {
+      return id ? api.put(`/webhooks/${id}`, webhook) : api.post('/webhooks', webhook)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] })
+    },
+    onError: (err) => {
+      const details = err.response?.data?.details
+      toast.error(details?.[0]?.message || err.response?.data?.error || '保存失败')
+    }
+  })
+}
+
+export function usePatchWebhook() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ id, ...changes }) => {
+      return api.patch(`/webhooks/${id}`, changes)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] })
+    },
+    onError: (err) => {
+      const details = err.response?.data?.details
+      toast.error(details?.[0]?.message || err.response?.data?.error || '保存失败')
+    }
+  })
+}
+
+export function useDeleteWebhook() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (id) => {
+      return api.delete(`/webhooks/${id}`)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] })
+      toast.success('Webhook 已删除')
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '删除失败')
+    }
+  })
+}
+
+export function useTestWebhook() {
+  return useMutation({
+    mutationFn: async (webhook) => {
+      const res = await api.post('/webhooks/test', webhook)
+      return res.data
+    },
+    onSuccess: (result) => {
+      if (result.success) {
+        toast.success(`测试消息已发送 (${result.latency}ms)`)
+      } else {
+        toast.error(`测试失败: ${result.error}`)
+      }
+    },
+    onError: (err) => {
+      const details = err.response?.data?.details
+      toast.error(details?.[0]?.message || err.response?.data?.error || '测试失败')
+    }
+  })
+}
+
+export function useWebhookDeliveries(webhookId) {
+  return useQuery({
+    queryKey: ['webhook-deliveries', webhookId],
+    queryFn: async () => {
+      const res = await api.get(`/webhooks/${webhookId}/deliveries`, { params: { limit: 30 } })
+      return res.data.data
+    },
+    enabled: !!webhookId
+  })
+}
+
+export function useRedeliverWebhook() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (deliveryId) => {
+      const res = await api.post(`/webhooks/deliveries/${deliveryId}/redeliver`)
+      return res.data
+    },
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['webhook-deliveries'] })
+      if (result.success) {
+        toast.success('重新投递成功')
+      } else {
+        toast.error(`重新投递失败: ${result.delivery.error}`)
+      }
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '重新投递失败')
+    }
+  })
+}
+
+// Audit log (admin only)
+export function useAuditLogs(filters, enabled = true) {
+  return useQuery({
+    queryKey: ['audit-logs', filters],
+    queryFn: async () => {
+      // Drop empty filters so they are not sent as blank query params
+      const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== '' && v !== undefined))
+      const res = await api.get('/audit', { params })
+      return res.data
+    },
+    enabled,
+    placeholderData: (previous) => previous
+  })
+}
+
+// Two-factor authentication for the current user
+export function useTwoFactorStatus(enabled = true) {
+  return useQuery({
+    queryKey: ['two-factor'],
+    queryFn: async () => {
+      const res = await api.get('/2fa')
+      return res.data
+    },
+    enabled
+  })
+}
+
+export function useSetupTwoFactor() {
+  return useMutation({
+    mutationFn: async () => {
+      const res = await api.post('/2fa/setup')
+      return res.data
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '生成密钥失败')
+    }
+  })
+}
+
+// action: enable | disable | recovery-codes, all of them require a current code
+export function useTwoFactorAction(action) {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (code) => {
+      const res = await api.post(`/2fa/${action}`, { code })
+      return res.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] })
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '操作失败')
+    }
+  })
+}
+
+// Passkeys (WebAuthn) of the current user
+export function usePasskeys(enabled = true) {
+  return useQuery({
+    queryKey: ['passkeys'],
+    queryFn: async () => {
+      const res = await api.get('/passkeys')
+      return res.data
+    },
+    enabled
+  })
+}
+
+export function useRegisterPasskey() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (name) => {
+      const { data: optionsJSON } = await api.post('/passkeys/register/options')
+      const response = await startRegistration({ optionsJSON })
+      const res = await api.post('/passkeys/register/verify', { name, response })
+      return res.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['passkeys'] })
+      toast.success('通行密钥已添加')
+    },
+    onError: (err) => {
+      // The user closed the browser prompt
+      if (err.name === 'NotAllowedError') return
+      toast.error(err.response?.data?.error || err.message || '添加通行密钥失败')
+    }
+  })
+}
+
+export function useDeletePasskey() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (id) => {
+      const res = await api.delete(`/passkeys/${encodeURIComponent(id)}`)
+      return res.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['passkeys'] })
+      toast.success('通行密钥已删除')
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '删除通行密钥失败')
+    }
+  })
+}
+
+// Users (admin only)
+export function useUsers(enabled = true) {
+  return useQuery({
+    queryKey: ['users'],
+    queryFn: async () => {
+      const res = await api.get('/users')
+      return res.data
+    },
+    enabled
+  })
+}
+
+export function useResetUserTwoFactor() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (userId) => {
+      const res = await api.delete(`/users/${userId}/2fa`)
+      return res.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] })
+      toast.success('已重置两步验证')
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || '重置失败')
+    }
+  })
+}
+
+// Current user
+export function useCurrentUser() {
+  return useQuery({
+    queryKey: ['me'],
+    queryFn: async () => {
+      const res = await api.get('/me')
+      return res.data
+    },
+    staleTime: Infinity,
+  })
+}
+
+// Roles from lowest to highest privilege, mirrors ROLES in middleware.js
+const ROLES = ['viewer', 'operator', 'admin']
+
+export const ROLE_LABELS = { viewer: '只读', operator: '操作员', admin: '管理员' }
+
+// Whether the current user has at least the given role
+export function useHasRole(role) {
+  const { data: user } = useCurrentUser()
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+}
+
 export function useVersion() {
   return useQuery({
     queryKey: ['version'],
@@ -76,7 +76,19 @@ function decryptData(encryptedData, secret) {
   }
 }
 
+/**
+ * Token 脱敏（只保留首尾各 4 位，用于返回给前端显示）
+ * @param {string} token - 明文 Token
+ * @returns {string|null} 如 sk-a****wxyz
+ */
+function maskToken(token) {
+  if (!token) return null;
+  if (token.length <= 12) return '****';
+  return `${token.slice(0, 4)}****${token.slice(-4)}`;
+}
+
 module.exports = {
   encryptData,
-  decryptData
+  decryptData,
+  maskToken
 };
@@ -18,6 +18,22 @@ const PASSWORD_FILE = path.join(__dirname, 'password.json');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
 const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
 const USAGE_HISTORY_FILE = path.join(DATA_DIR, 'usage-history.json');
+const SNAPSHOTS_FILE = path.join(DATA_DIR, 'snapshots.json');
+const STATE_FILE = path.join(DATA_DIR, 'state.json');
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.json');
+const EMAIL_CONFIG_FILE = path.join(DATA_DIR, 'email-config.json');
+
+// 文件存储模式下保留的投递记录条数
+const MAX_FILE_DELIVERIES = 500;
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit-log.json');
+const TWO_FACTOR_FILE = path.join(DATA_DIR, 'two-factor.json');
+const PASSKEYS_FILE = path.join(DATA_DIR, 'passkeys.json');
+
+// 文件存储模式下最多保留的审计日志数量
+const MAX_FILE_AUDIT_LOGS = 5000;
+
+// 读取所有用户的数据（后台轮询、通知分发使用），userId 为 null 表示内置管理员
+const ALL_USERS = '*';
 
 // 确保数据目录存在
 function ensureDataDir() {
@@ -92,7 +108,7 @@ async function createTablesWithClient(client) {
       id SERIAL PRIMARY KEY,
       username VARCHAR(50) UNIQUE NOT NULL,
       password_hash VARCHAR(255) NOT NULL,
-      role VARCHAR(20) DEFAULT 'user',
+      role VARCHAR(20) DEFAULT 'viewer',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
@@ -149,6 +165,87 @@ async function createTablesWithClient(client) {
     CREATE INDEX IF NOT EXISTS idx_usage_history_account
     ON usage_history(account_name, recorded_at)
   `);
+
+  // 旧版本的 user 角色升级为 operator（保留原有的操作权限）
+  await client.query(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer'`);
+  await client.query(`UPDATE users SET role = 'operator' WHERE role = 'user' OR role IS NULL`);
+
+  // 账号排序（旧版本表结构升级）
+  await client.query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS position INTEGER DEFAULT 0`);
+
+  // Webhook 渠道类型（旧版本表结构升级）
+  await client.query(`ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'generic'`);
+  await client.query(`ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS options JSONB`);
+
+  // Webhook 投递记录表
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id VARCHAR(32) PRIMARY KEY,
+      webhook_id VARCHAR(32) REFERENCES webhooks(id) ON DELETE CASCADE,
+      event VARCHAR(50) NOT NULL,
+      payload TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      status_code INTEGER,
+      response_body TEXT,
+      error TEXT,
+      latency_ms INTEGER,
+      attempts INTEGER DEFAULT 0,
+      redelivery_of VARCHAR(32),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+    ON webhook_deliveries(webhook_id, created_at)
+  `);
+
+  // 审计日志表（不关联 users 表，删除用户后仍保留记录）
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      username VARCHAR(50),
+      ip VARCHAR(64),
+      user_agent TEXT,
+      action VARCHAR(50) NOT NULL,
+      target JSONB,
+      result VARCHAR(20) NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_created
+    ON audit_logs(created_at)
+  `);
+
+  // 通行密钥表（WebAuthn 凭据，user_id 为空表示内置管理员）
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS passkeys (
+      id VARCHAR(512) PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100),
+      public_key TEXT NOT NULL,
+      counter BIGINT DEFAULT 0,
+      transports JSONB,
+      backed_up BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP
+    )
+  `);
+
+  // 账号快照表（后台轮询结果）
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS account_snapshots (
+      account_key VARCHAR(255) PRIMARY KEY,
+      data JSONB NOT NULL,
+      fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
 }
 
 /**
@@ -162,17 +259,20 @@ function isDatabaseEnabled() {
 
 /**
  * 读取账号列表
+ * 每个账号带有固定的 id（保存时保留），用于在不暴露 Token 的情况下引用账号
  */
 async function loadAccounts(encryptionEnabled, decryptFn, secret, userId = null) {
   if (isDatabaseEnabled()) {
     try {
-      let query = 'SELECT name, token, encrypted_token FROM accounts';
+      let query = 'SELECT id, name, token, encrypted_token, user_id FROM accounts';
       const params = [];
-      if (userId) {
+      if (userId === null) {
+        query += ' WHERE user_id IS NULL';
+      } else if (userId !== ALL_USERS) {
         query += ' WHERE user_id = $1';
         params.push(userId);
       }
-      query += ' ORDER BY id';
+      query += ' ORDER BY position, id';
 
       const result = await pool.query(query, params);
 
@@ -180,13 +280,13 @@ async function loadAccounts(encryptionEnabled, decryptFn, secret, userId = null)
         if (encryptionEnabled && row.encrypted_token) {
           try {
             const token = decryptFn(row.encrypted_token, secret);
-            return { name: row.name, token };
+            return { id: row.id, name: row.name, token, userId: row.user_id };
           } catch (e) {
             console.error(`❌ 解密账号 [${row.name}] 失败:`, e.message);
-            return { name: row.name, token: row.token };
+            return { id: row.id, name: row.name, token: row.token, userId: row.user_id };
           }
         }
-        return { name: row.name, token: row.token };
+        return { id: row.id, name: row.name, token: row.token, userId: row.user_id };
       });
     } catch (error) {
       console.error('❌ 从数据库读取账号失败:', error.message);
@@ -194,11 +294,12 @@ async function loadAccounts(encryptionEnabled, decryptFn, secret, userId = null)
     }
   }
 
-  // 文件存储
+  // 文件存储（旧版本文件中没有 userId 的账号属于内置管理员）
   try {
     if (fs.existsSync(ACCOUNTS_FILE)) {
-      const data = fs.readFileSync(ACCOUNTS_FILE, 'utf8');
-      const accounts = JSON.parse(data);
+      const accounts = assignAccountIds(JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf8')))
+        .map(account => ({ ...account, userId: account.userId ?? null }))
+        .filter(account => userId === ALL_USERS || account.userId === userId);
 
       if (encryptionEnabled) {
         return accounts.map(account => {
@@ -223,8 +324,22 @@ async function loadAccounts(encryptionEnabled, decryptFn, secret, userId = null)
   return [];
 }
 
+/**
+ * 为旧版本文件中没有 id 的账号分配 id 并写回文件
+ */
+function assignAccountIds(accounts) {
+  if (accounts.every(account => account.id)) return accounts;
+
+  let nextId = accounts.reduce((max, account) => Math.max(max, account.id || 0), 0) + 1;
+  const migrated = accounts.map(account => (account.id ? account : { ...account, id: nextId++ }));
+  fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(migrated, null, 2), 'utf8');
+  console.log('🔄 已为账号分配 ID');
+  return migrated;
+}
+
 /**
  * 保存账号列表
+ * 带 id 的账号保留原 id，没有 id 的账号分配新 id
  */
 async function saveAccounts(accounts, encryptionEnabled, encryptFn, secret, userId = null) {
   if (isDatabaseEnabled()) {
@@ -239,27 +354,22 @@ async function saveAccounts(accounts, encryptionEnabled, encryptFn, secret, user
         await client.query('DELETE FROM accounts WHERE user_id IS NULL');
       }
 
-      // 插入新账号
-      for (const account of accounts) {
+      // 插入新账号（已有账号沿用原 id，position 记录列表顺序）
+      const insertAccount = (account, position, column, value) => (account.id
+        ? client.query(`INSERT INTO accounts (id, user_id, name, position, ${column}) VALUES ($1, $2, $3, $4, $5)`, [account.id, userId, account.name, position, value])
+        : client.query(`INSERT INTO accounts (user_id, name, position, ${column}) VALUES ($1, $2, $3, $4)`, [userId, account.name, position, value]));
+
+      for (const [position, account] of accounts.entries()) {
         if (encryptionEnabled && account.token) {
           try {
             const encryptedToken = encryptFn(account.token, secret);
-            await client.query(
-              'INSERT INTO accounts (user_id, name, encrypted_token) VALUES ($1, $2, $3)',
-              [userId, account.name, encryptedToken]
-            );
+            await insertAccount(account, position, 'encrypted_token', encryptedToken);
           } catch (e) {
             console.error(`❌ 加密账号 [${account.name}] 失败:`, e.message);
-            await client.query(
-              'INSERT INTO accounts (user_id, name, token) VALUES ($1, $2, $3)',
-              [userId, account.name, account.token]
-            );
+            await insertAccount(account, position, 'token', account.token);
           }
         } else {
-          await client.query(
-            'INSERT INTO accounts (user_id, name, token) VALUES ($1, $2, $3)',
-            [userId, account.name, account.token]
-          );
+          await insertAccount(account, position, 'token', account.token);
         }
       }
 
@@ -279,10 +389,14 @@ async function saveAccounts(accounts, encryptionEnabled, encryptFn, secret, user
 
   // 文件存储
   try {
-    let accountsToSave = accounts;
+    // 所有用户共用一个文件，只替换当前用户的账号
+    const allAccounts = loadJsonFile(ACCOUNTS_FILE, []);
+    const otherAccounts = allAccounts.filter(account => (account.userId ?? null) !== userId);
+    let nextId = allAccounts.reduce((max, account) => Math.max(max, account.id || 0), 0) + 1;
+    let accountsToSave = accounts.map(account => ({ ...account, id: account.id || nextId++, userId }));
 
     if (encryptionEnabled) {
-      accountsToSave = accounts.map(account => {
+      accountsToSave = accountsToSave.map(account => {
         if (account.token) {
           try {
             const encryptedToken = encryptFn(account.token, secret);
@@ -298,7 +412,7 @@ async function saveAccounts(accounts, encryptionEnabled, encryptFn, secret, user
       console.log('🔐 账号 Token 已加密存储');
     }
 
-    fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(accountsToSave, null, 2), 'utf8');
+    fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify([...otherAccounts, ...accountsToSave], null, 2), 'utf8');
     return true;
   } catch (e) {
     console.error('❌ 保存账号文件失败:', e.message);
@@ -365,12 +479,318 @@ async function savePassword(password) {
   }
 }
 
+// ==================== 邮件通知配置 ====================
+
+/**
+ * 读取 SMTP 配置（启用加密时解密 SMTP 密码）
+ * @returns {Promise<object|null>}
+ */
+async function loadEmailConfig(encryptionEnabled, decryptFn, secret) {
+  let stored = null;
+
+  if (isDatabaseEnabled()) {
+    try {
+      const result = await pool.query("SELECT value FROM config WHERE key = 'email_config'");
+      stored = result.rows[0] ? JSON.parse(result.rows[0].value) : null;
+    } catch (error) {
+      console.error('❌ 从数据库读取邮件配置失败:', error.message);
+      return null;
+    }
+  } else {
+    // 文件存储
+    stored = loadJsonFile(EMAIL_CONFIG_FILE, null);
+  }
+
+  if (!stored) return null;
+
+  const { encryptedPassword, ...config } = stored;
+  if (encryptedPassword) {
+    try {
+      config.password = encryptionEnabled ? decryptFn(encryptedPassword, secret) : null;
+    } catch (e) {
+      console.error('❌ 解密 SMTP 密码失败:', e.message);
+      config.password = null;
+    }
+  }
+  return config;
+}
+
+/**
+ * 保存 SMTP 配置（启用加密时加密 SMTP 密码）
+ * @param {object} config - SMTP 配置
+ */
+async function saveEmailConfig(config, encryptionEnabled, encryptFn, secret) {
+  let stored = config;
+  if (encryptionEnabled && config.password) {
+    const { password, ...rest } = config;
+    stored = { ...rest, encryptedPassword: encryptFn(password, secret) };
+  }
+
+  if (isDatabaseEnabled()) {
+    try {
+      await pool.query(`
+        INSERT INTO config (key, value, updated_at)
+        VALUES ('email_config', $1, CURRENT_TIMESTAMP)
+        ON CONFLICT (key)
+        DO UPDATE SET value = $1, updated_at = CURRENT_TIMESTAMP
+      `, [JSON.stringify(stored)]);
+      return true;
+    } catch (error) {
+      console.error('❌ 保存邮件配置到数据库失败:', error.message);
+      return false;
+    }
+  }
+
+  // 文件存储
+  try {
+    ensureDataDir();
+    fs.writeFileSync(EMAIL_CONFIG_FILE, JSON.stringify(stored, null, 2), 'utf8');
+    return true;
+  } catch (e) {
+    console.error('❌ 保存邮件配置文件失败:', e.message);
+    return false;
+  }
+}
+
+/**
+ * 删除 SMTP 配置
+ */
+async function deleteEmailConfig() {
+  if (isDatabaseEnabled()) {
+    try {
+      await pool.query("DELETE FROM config WHERE key = 'email_config'");
+      return true;
+    } catch (error) {
+      console.error('❌ 删除邮件配置失败:', error.message);
+      return false;
+    }
+  }
+
+  // 文件存储
+  try {
+    if (fs.existsSync(EMAIL_CONFIG_FILE)) {
+      fs.unlinkSync(EMAIL_CONFIG_FILE);
+    }
+    return true;
+  } catch (e) {
+    console.error('❌ 删除邮件配置文件失败:', e.message);
+    return false;
+  }
+}
+
+// ==================== 两步验证 ====================
+
+/**
+ * 读取用户的两步验证配置（启用加密时解密 TOTP 密钥）
+ * @param {string} userKey - 用户标识（内置管理员为 admin，其他用户为用户 ID）
+ * @returns {Promise<object|null>} { secret, enabled, recoveryCodes, lastUsedStep }
+ */
+async function loadTwoFactor(userKey, encryptionEnabled, decryptFn, secret) {
+  let stored = null;
+
+  if (isDatabaseEnabled()) {
+    const result = await pool.query('SELECT value FROM config WHERE key = $1', ['two_factor:' + userKey]);
+    stored = result.rows[0] ? JSON.parse(result.rows[0].value) : null;
+  } else {
+    // 文件存储
+    stored = loadJsonFile(TWO_FACTOR_FILE, {})[userKey] || null;
+  }
+
+  if (!stored) return null;
+
+  const { encryptedSecret, ...record } = stored;
+  if (encryptedSecret) {
+    if (!encryptionEnabled) {
+      throw new Error('两步验证密钥已加密，但未配置 ACCOUNTS_SECRET');
+    }
+    record.secret = decryptFn(encryptedSecret, secret);
+  }
+  return record;
+}
+
+/**
+ * 保存用户的两步验证配置（启用加密时加密 TOTP 密钥）
+ * @param {string} userKey - 用户标识
+ * @param {object} record - { secret, enabled, recoveryCodes, lastUsedStep }
+ */
+async function saveTwoFactor(userKey, record, encryptionEnabled, encryptFn, secret) {
+  let stored = record;
+  if (encryptionEnabled) {
+    const { secret: totpSecret, ...rest } = record;
+    stored = { ...rest, encryptedSecret: encryptFn(totpSecret, secret) };
+  }
+
+  if (isDatabaseEnabled()) {
+    await pool.query(`
+      INSERT INTO config (key, value, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (key)
+      DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
+    `, ['two_factor:' + userKey, JSON.stringify(stored)]);
+    return true;
+  }
+
+  // 文件存储
+  ensureDataDir();
+  const records = loadJsonFile(TWO_FACTOR_FILE, {});
+  records[userKey] = stored;
+  fs.writeFileSync(TWO_FACTOR_FILE, JSON.stringify(records, null, 2), 'utf8');
+  return true;
+}
+
+/**
+ * 删除用户的两步验证配置
+ * @param {string} userKey - 用户标识
+ * @returns {Promise<boolean>} 是否存在并已删除
+ */
+async function deleteTwoFactor(userKey) {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query('DELETE FROM config WHERE key = $1', ['two_factor:' + userKey]);
+    return result.rowCount > 0;
+  }
+
+  // 文件存储
+  const records = loadJsonFile(TWO_FACTOR_FILE, {});
+  if (!records[userKey]) return false;
+  delete records[userKey];
+  fs.writeFileSync(TWO_FACTOR_FILE, JSON.stringify(records, null, 2), 'utf8');
+  return true;
+}
+
+/**
+ * 获取已启用两步验证的用户标识
+ * @returns {Promise<Array<string>>}
+ */
+async function getTwoFactorUserKeys() {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query("SELECT key, value FROM config WHERE key LIKE 'two_factor:%'");
+    return result.rows
+      .filter(row => JSON.parse(row.value).enabled)
+      .map(row => row.key.slice('two_factor:'.length));
+  }
+
+  // 文件存储
+  return Object.entries(loadJsonFile(TWO_FACTOR_FILE, {}))
+    .filter(([, record]) => record.enabled)
+    .map(([userKey]) => userKey);
+}
+
+// ==================== 通行密钥（WebAuthn） ====================
+
+/**
+ * 获取通行密钥
+ * @param {number|null|string} userId - 用户 ID，null 为内置管理员，ALL_USERS 为全部
+ * @returns {Promise<Array>} [{ id, userId, name, publicKey, counter, transports, backedUp, createdAt, lastUsedAt }]
+ */
+async function getPasskeys(userId = null) {
+  if (isDatabaseEnabled()) {
+    let query = 'SELECT * FROM passkeys';
+    const params = [];
+    if (userId === null) {
+      query += ' WHERE user_id IS NULL';
+    } else if (userId !== ALL_USERS) {
+      query += ' WHERE user_id = $1';
+      params.push(userId);
+    }
+    const result = await pool.query(query + ' ORDER BY created_at', params);
+    return result.rows.map(mapPasskeyRow);
+  }
+
+  // 文件存储
+  return loadJsonFile(PASSKEYS_FILE, [])
+    .map(passkey => ({ ...passkey, userId: passkey.userId ?? null }))
+    .filter(passkey => userId === ALL_USERS || passkey.userId === userId);
+}
+
+// 与文件存储保持一致的字段格式
+function mapPasskeyRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    publicKey: row.public_key,
+    counter: Number(row.counter),
+    transports: row.transports || [],
+    backedUp: row.backed_up,
+    createdAt: row.created_at ? new Date(row.created_at).getTime() : null,
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at).getTime() : null
+  };
+}
+
+/**
+ * 根据凭据 ID 获取通行密钥（登录时使用）
+ * @param {string} credentialId - Base64URL 编码的凭据 ID
+ */
+async function getPasskey(credentialId) {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query('SELECT * FROM passkeys WHERE id = $1', [credentialId]);
+    return result.rows[0] ? mapPasskeyRow(result.rows[0]) : null;
+  }
+
+  // 文件存储
+  return (await getPasskeys(ALL_USERS)).find(passkey => passkey.id === credentialId) || null;
+}
+
+/**
+ * 保存通行密钥（新增或更新计数器、最后使用时间）
+ */
+async function savePasskey(passkey) {
+  if (isDatabaseEnabled()) {
+    await pool.query(`
+      INSERT INTO passkeys (id, user_id, name, public_key, counter, transports, backed_up, last_used_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (id) DO UPDATE SET
+        name = $3, counter = $5, backed_up = $7, last_used_at = $8
+    `, [
+      passkey.id, passkey.userId, passkey.name, passkey.publicKey, passkey.counter,
+      JSON.stringify(passkey.transports || []), !!passkey.backedUp,
+      passkey.lastUsedAt ? new Date(passkey.lastUsedAt) : null
+    ]);
+    return true;
+  }
+
+  // 文件存储
+  ensureDataDir();
+  const passkeys = await getPasskeys(ALL_USERS);
+  const index = passkeys.findIndex(p => p.id === passkey.id);
+  if (index !== -1) {
+    passkeys[index] = passkey;
+  } else {
+    passkeys.push({ ...passkey, createdAt: passkey.createdAt || Date.now() });
+  }
+  fs.writeFileSync(PASSKEYS_FILE, JSON.stringify(passkeys, null, 2), 'utf8');
+  return true;
+}
+
+/**
+ * 删除通行密钥
+ * @param {string} credentialId - 凭据 ID
+ * @param {number|null|string} userId - 所属用户，只能删除自己的通行密钥；ALL_USERS 不限制
+ * @returns {Promise<boolean>} 是否存在并已删除
+ */
+async function deletePasskey(credentialId, userId = null) {
+  const passkey = await getPasskey(credentialId);
+  if (!passkey || (userId !== ALL_USERS && passkey.userId !== userId)) {
+    return false;
+  }
+
+  if (isDatabaseEnabled()) {
+    await pool.query('DELETE FROM passkeys WHERE id = $1', [credentialId]);
+    return true;
+  }
+
+  // 文件存储
+  const passkeys = (await getPasskeys(ALL_USERS)).filter(p => p.id !== credentialId);
+  fs.writeFileSync(PASSKEYS_FILE, JSON.stringify(passkeys, null, 2), 'utf8');
+  return true;
+}
+
 // ==================== 用户管理（多用户支持） ====================
 
 /**
  * 创建用户
  */
-async function createUser(username, passwordHash, role = 'user') {
+async function createUser(username, passwordHash, role = 'viewer') {
   if (isDatabaseEnabled()) {
     try {
       const result = await pool.query(
@@ -392,7 +812,7 @@ async function createUser(username, passwordHash, role = 'user') {
   if (users.find(u => u.username === username)) {
     throw new Error('用户名已存在');
   }
-  const id = users.length + 1;
+  const id = users.reduce((max, u) => Math.max(max, u.id), 0) + 1;
   users.push({ id, username, passwordHash, role, createdAt: Date.now() });
   fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
   return id;
@@ -423,6 +843,41 @@ async function getUser(username) {
   return users.find(u => u.username === username) || null;
 }
 
+/**
+ * 按 ID 获取用户（不含密码）
+ */
+async function getUserById(userId) {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query('SELECT id, username, role FROM users WHERE id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  // 文件存储
+  const user = loadUsersFromFile().find(u => u.id === userId);
+  return user ? { id: user.id, username: user.username, role: user.role } : null;
+}
+
+/**
+ * 修改用户角色
+ */
+async function updateUserRole(userId, role) {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query(
+      'UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId, role]
+    );
+    return result.rowCount > 0;
+  }
+
+  // 文件存储
+  const users = loadUsersFromFile();
+  const user = users.find(u => u.id === userId);
+  if (!user) return false;
+  user.role = role;
+  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
+  return true;
+}
+
 /**
  * 获取用户列表
  */
@@ -450,6 +905,7 @@ async function getUsers() {
 async function deleteUser(userId) {
   if (isDatabaseEnabled()) {
     const result = await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    await deleteTwoFactor(String(userId));
     return result.rowCount > 0;
   }
 
@@ -459,6 +915,17 @@ async function deleteUser(userId) {
   if (index !== -1) {
     users.splice(index, 1);
     fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
+
+    // 同时删除该用户的账号、Webhook 和通行密钥（与数据库级联删除保持一致）
+    const accounts = loadJsonFile(ACCOUNTS_FILE, []);
+    fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(accounts.filter(a => a.userId !== userId), null, 2), 'utf8');
+    for (const webhook of await getWebhooks(userId)) {
+      await deleteWebhook(webhook.id);
+    }
+    for (const passkey of await getPasskeys(userId)) {
+      await deletePasskey(passkey.id, userId);
+    }
+    await deleteTwoFactor(String(userId));
     return true;
   }
   return false;
@@ -467,7 +934,9 @@ async function deleteUser(userId) {
 function loadUsersFromFile() {
   try {
     if (fs.existsSync(USERS_FILE)) {
-      return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+      // 旧版本的 user 角色视为 operator
+      return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'))
+        .map(u => (!u.role || u.role === 'user' ? { ...u, role: 'operator' } : u));
     }
   } catch (e) {
     console.error('❌ 读取用户文件失败:', e.message);
@@ -484,23 +953,36 @@ async function getWebhooks(userId = null) {
   if (isDatabaseEnabled()) {
     let query = 'SELECT * FROM webhooks';
     const params = [];
-    if (userId) {
+    if (userId === null) {
+      query += ' WHERE user_id IS NULL';
+    } else if (userId !== ALL_USERS) {
       query += ' WHERE user_id = $1';
       params.push(userId);
     }
-    const result = await pool.query(query, params);
-    return result.rows;
+    const result = await pool.query(query + ' ORDER BY created_at', params);
+    return result.rows.map(mapWebhookRow);
   }
 
   // 文件存储
-  try {
-    if (fs.existsSync(WEBHOOKS_FILE)) {
-      return JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
-    }
-  } catch (e) {
-    console.error('❌ 读取 Webhook 文件失败:', e.message);
-  }
-  return [];
+  return loadJsonFile(WEBHOOKS_FILE, [])
+    .map(webhook => ({ ...webhook, userId: webhook.userId ?? null }))
+    .filter(webhook => userId === ALL_USERS || webhook.userId === userId);
+}
+
+// 与文件存储保持一致的字段格式
+function mapWebhookRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    url: row.url,
+    secret: row.secret,
+    events: row.events,
+    type: row.type,
+    options: row.options,
+    enabled: row.enabled,
+    createdAt: row.created_at ? new Date(row.created_at).getTime() : null
+  };
 }
 
 /**
@@ -509,17 +991,17 @@ async function getWebhooks(userId = null) {
 async function saveWebhook(webhook) {
   if (isDatabaseEnabled()) {
     await pool.query(`
-      INSERT INTO webhooks (id, user_id, name, url, secret, events, enabled)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO webhooks (id, user_id, name, url, secret, events, enabled, type, options)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       ON CONFLICT (id) DO UPDATE SET
-        name = $3, url = $4, secret = $5, events = $6, enabled = $7
-    `, [webhook.id, webhook.userId, webhook.name, webhook.url, webhook.secret, JSON.stringify(webhook.events), webhook.enabled !== false]);
+        name = $3, url = $4, secret = $5, events = $6, enabled = $7, type = $8, options = $9
+    `, [webhook.id, webhook.userId, webhook.name, webhook.url, webhook.secret, JSON.stringify(webhook.events), webhook.enabled !== false, webhook.type || 'generic', JSON.stringify(webhook.options || {})]);
     return true;
   }
 
   // 文件存储
   ensureDataDir();
-  const webhooks = await getWebhooks();
+  const webhooks = await getWebhooks(ALL_USERS);
   const index = webhooks.findIndex(w => w.id === webhook.id);
   if (index !== -1) {
     webhooks[index] = webhook;
@@ -540,16 +1022,112 @@ async function deleteWebhook(webhookId) {
   }
 
   // 文件存储
-  const webhooks = await getWebhooks();
+  const webhooks = await getWebhooks(ALL_USERS);
   const index = webhooks.findIndex(w => w.id === webhookId);
   if (index !== -1) {
     webhooks.splice(index, 1);
     fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify(webhooks, null, 2), 'utf8');
+
+    // 同时删除投递记录（与数据库级联删除保持一致）
+    const deliveries = loadJsonFile(WEBHOOK_DELIVERIES_FILE, []);
+    const remaining = deliveries.filter(d => d.webhookId !== webhookId);
+    if (remaining.length !== deliveries.length) {
+      fs.writeFileSync(WEBHOOK_DELIVERIES_FILE, JSON.stringify(remaining, null, 2), 'utf8');
+    }
     return true;
   }
   return false;
 }
 
+// ==================== Webhook 投递记录 ====================
+
+/**
+ * 保存 Webhook 投递记录（新增或更新）
+ * @param {object} delivery - 投递记录
+ */
+async function saveWebhookDelivery(delivery) {
+  if (isDatabaseEnabled()) {
+    await pool.query(`
+      INSERT INTO webhook_deliveries
+        (id, webhook_id, event, payload, status, status_code, response_body, error, latency_ms, attempts, redelivery_of, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, to_timestamp($12 / 1000.0), CURRENT_TIMESTAMP)
+      ON CONFLICT (id) DO UPDATE SET
+        status = $5, status_code = $6, response_body = $7, error = $8,
+        latency_ms = $9, attempts = $10, updated_at = CURRENT_TIMESTAMP
+    `, [
+      delivery.id, delivery.webhookId, delivery.event, delivery.payload, delivery.status,
+      delivery.statusCode, delivery.responseBody, delivery.error, delivery.latency,
+      delivery.attempts, delivery.redeliveryOf, delivery.createdAt
+    ]);
+    return true;
+  }
+
+  // 文件存储
+  ensureDataDir();
+  const deliveries = loadJsonFile(WEBHOOK_DELIVERIES_FILE, []);
+  const index = deliveries.findIndex(d => d.id === delivery.id);
+  if (index !== -1) {
+    deliveries[index] = delivery;
+  } else {
+    deliveries.push(delivery);
+  }
+  fs.writeFileSync(WEBHOOK_DELIVERIES_FILE, JSON.stringify(deliveries.slice(-MAX_FILE_DELIVERIES), null, 2), 'utf8');
+  return true;
+}
+
+function mapDeliveryRow(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    statusCode: row.status_code,
+    responseBody: row.response_body,
+    error: row.error,
+    latency: row.latency_ms,
+    attempts: row.attempts,
+    redeliveryOf: row.redelivery_of,
+    createdAt: new Date(row.created_at).getTime(),
+    updatedAt: new Date(row.updated_at).getTime()
+  };
+}
+
+/**
+ * 获取 Webhook 的投递记录（最新在前）
+ * @param {string} webhookId - Webhook ID
+ * @param {number} limit - 返回条数
+ */
+async function getWebhookDeliveries(webhookId, limit = 50) {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query(
+      'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [webhookId, limit]
+    );
+    return result.rows.map(mapDeliveryRow);
+  }
+
+  // 文件存储
+  return loadJsonFile(WEBHOOK_DELIVERIES_FILE, [])
+    .filter(d => d.webhookId === webhookId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+/**
+ * 获取单条投递记录
+ * @param {string} deliveryId - 投递记录 ID
+ */
+async function getWebhookDelivery(deliveryId) {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+    return result.rows[0] ? mapDeliveryRow(result.rows[0]) : null;
+  }
+
+  // 文件存储
+  return loadJsonFile(WEBHOOK_DELIVERIES_FILE, []).find(d => d.id === deliveryId) || null;
+}
+
 // ==================== 用量历史（数据可视化） ====================
 
 /**
@@ -581,6 +1159,28 @@ async function recordUsage(accountName, usageAmount) {
   return true;
 }
 
+/**
+ * 账号改名后迁移用量历史
+ * @param {string} oldAccountName - 原账号标识
+ * @param {string} newAccountName - 新账号标识
+ */
+async function renameUsageHistory(oldAccountName, newAccountName) {
+  if (isDatabaseEnabled()) {
+    await pool.query(
+      'UPDATE usage_history SET account_name = $2 WHERE account_name = $1',
+      [oldAccountName, newAccountName]
+    );
+    return true;
+  }
+
+  // 文件存储
+  const history = loadUsageHistoryFromFile();
+  if (!history.some(h => h.accountName === oldAccountName)) return true;
+  const renamed = history.map(h => (h.accountName === oldAccountName ? { ...h, accountName: newAccountName } : h));
+  fs.writeFileSync(USAGE_HISTORY_FILE, JSON.stringify(renamed, null, 2), 'utf8');
+  return true;
+}
+
 /**
  * 获取用量历史
  */
@@ -626,6 +1226,220 @@ function loadUsageHistoryFromFile() {
   return [];
 }
 
+// ==================== 账号快照（后台轮询） ====================
+
+/**
+ * 保存账号快照
+ * @param {string} accountKey - 账号标识
+ * @param {object} snapshot - 快照数据
+ */
+async function saveSnapshot(accountKey, snapshot) {
+  if (isDatabaseEnabled()) {
+    await pool.query(`
+      INSERT INTO account_snapshots (account_key, data, fetched_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (account_key)
+      DO UPDATE SET data = $2, fetched_at = CURRENT_TIMESTAMP
+    `, [accountKey, JSON.stringify(snapshot)]);
+    return true;
+  }
+
+  // 文件存储
+  ensureDataDir();
+  const snapshots = loadJsonFile(SNAPSHOTS_FILE, {});
+  snapshots[accountKey] = snapshot;
+  fs.writeFileSync(SNAPSHOTS_FILE, JSON.stringify(snapshots, null, 2), 'utf8');
+  return true;
+}
+
+/**
+ * 获取所有账号快照
+ * @returns {Promise<object>} { accountKey: snapshot }
+ */
+async function getSnapshots() {
+  if (isDatabaseEnabled()) {
+    const result = await pool.query('SELECT account_key, data FROM account_snapshots');
+    const snapshots = {};
+    result.rows.forEach(row => {
+      snapshots[row.account_key] = row.data;
+    });
+    return snapshots;
+  }
+
+  // 文件存储
+  return loadJsonFile(SNAPSHOTS_FILE, {});
+}
+
+/**
+ * 删除账号快照
+ * @param {string} accountKey - 账号标识
+ */
+async function deleteSnapshot(accountKey) {
+  if (isDatabaseEnabled()) {
+    await pool.query('DELETE FROM account_snapshots WHERE account_key = $1', [accountKey]);
+    return true;
+  }
+
+  // 文件存储
+  const snapshots = loadJsonFile(SNAPSHOTS_FILE, {});
+  if (snapshots[accountKey]) {
+    delete snapshots[accountKey];
+    fs.writeFileSync(SNAPSHOTS_FILE, JSON.stringify(snapshots, null, 2), 'utf8');
+  }
+  return true;
+}
+
+// ==================== 运行状态（键值存储） ====================
+
+/**
+ * 读取运行状态
+ * @param {string} key - 状态键
+ * @param {any} defaultValue - 默认值
+ */
+async function getState(key, defaultValue = null) {
+  if (isDatabaseEnabled()) {
+    try {
+      const result = await pool.query('SELECT value FROM config WHERE key = $1', ['state:' + key]);
+      return result.rows[0] ? JSON.parse(result.rows[0].value) : defaultValue;
+    } catch (error) {
+      console.error(`❌ 读取状态 [${key}] 失败:`, error.message);
+      return defaultValue;
+    }
+  }
+
+  // 文件存储
+  const state = loadJsonFile(STATE_FILE, {});
+  return state[key] !== undefined ? state[key] : defaultValue;
+}
+
+/**
+ * 保存运行状态
+ * @param {string} key - 状态键
+ * @param {any} value - 状态值（JSON 序列化）
+ */
+async function setState(key, value) {
+  if (isDatabaseEnabled()) {
+    await pool.query(`
+      INSERT INTO config (key, value, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (key)
+      DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
+    `, ['state:' + key, JSON.stringify(value)]);
+    return true;
+  }
+
+  // 文件存储
+  ensureDataDir();
+  const state = loadJsonFile(STATE_FILE, {});
+  state[key] = value;
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+  return true;
+}
+
+function loadJsonFile(file, defaultValue) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    console.error(`❌ 读取文件 ${path.basename(file)} 失败:`, e.message);
+  }
+  return defaultValue;
+}
+
+// ==================== 审计日志 ====================
+
+/**
+ * 记录审计日志
+ * @param {object} entry - { userId, username, ip, userAgent, action, target, result, statusCode, error }
+ */
+async function recordAuditLog(entry) {
+  const createdAt = Date.now();
+
+  if (isDatabaseEnabled()) {
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, username, ip, user_agent, action, target, result, status_code, error, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      entry.userId, entry.username, entry.ip, entry.userAgent, entry.action,
+      JSON.stringify(entry.target || {}), entry.result, entry.statusCode, entry.error, new Date(createdAt)
+    ]);
+    return true;
+  }
+
+  // 文件存储
+  ensureDataDir();
+  const logs = loadJsonFile(AUDIT_LOG_FILE, []);
+  const id = logs.reduce((max, log) => Math.max(max, log.id), 0) + 1;
+  logs.push({ id, ...entry, target: entry.target || {}, createdAt });
+  fs.writeFileSync(AUDIT_LOG_FILE, JSON.stringify(logs.slice(-MAX_FILE_AUDIT_LOGS), null, 2), 'utf8');
+  return true;
+}
+
+function mapAuditRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    action: row.action,
+    target: row.target || {},
+    result: row.result,
+    statusCode: row.status_code,
+    error: row.error,
+    createdAt: new Date(row.created_at).getTime()
+  };
+}
+
+/**
+ * 查询审计日志（按时间倒序）
+ * @param {object} filters - { action, username, result, account, since, until, limit, offset }
+ *   action 以 . 结尾时按前缀匹配（如 service.），since / until 为毫秒时间戳
+ * @returns {Promise<object>} { total, data }
+ */
+async function getAuditLogs({ action, username, result, account, since, until, limit = 50, offset = 0 } = {}) {
+  if (isDatabaseEnabled()) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (action && action.endsWith('.')) {
+      add('action LIKE ?', `${action}%`);
+    } else if (action) {
+      add('action = ?', action);
+    }
+    if (username) add('username = ?', username);
+    if (result) add('result = ?', result);
+    if (account) add("target->>'account' = ?", account);
+    if (since) add('created_at >= ?', new Date(since));
+    if (until) add('created_at <= ?', new Date(until));
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_logs${where}`, params);
+    const rows = await pool.query(
+      `SELECT * FROM audit_logs${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { total: parseInt(countResult.rows[0].count), data: rows.rows.map(mapAuditRow) };
+  }
+
+  // 文件存储
+  const logs = loadJsonFile(AUDIT_LOG_FILE, [])
+    .filter(log => !action || (action.endsWith('.') ? log.action.startsWith(action) : log.action === action))
+    .filter(log => !username || log.username === username)
+    .filter(log => !result || log.result === result)
+    .filter(log => !account || log.target?.account === account)
+    .filter(log => !since || log.createdAt >= since)
+    .filter(log => !until || log.createdAt <= until)
+    .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+
+  return { total: logs.length, data: logs.slice(offset, offset + limit) };
+}
+
 // ==================== 数据库连接管理 ====================
 
 /**
@@ -640,6 +1454,7 @@ async function closeDatabase() {
 }
 
 module.exports = {
+  ALL_USERS,
   initDatabase,
   isDatabaseEnabled,
   // 账号
@@ -648,18 +1463,48 @@ module.exports = {
   // 密码
   loadPassword,
   savePassword,
+  // 邮件通知配置
+  loadEmailConfig,
+  saveEmailConfig,
+  deleteEmailConfig,
   // 用户
   createUser,
   getUser,
+  getUserById,
+  updateUserRole,
   getUsers,
   deleteUser,
   // Webhook
   getWebhooks,
   saveWebhook,
   deleteWebhook,
+  saveWebhookDelivery,
+  getWebhookDeliveries,
+  getWebhookDelivery,
   // 用量历史
   recordUsage,
   getUsageHistory,
+  renameUsageHistory,
+  // 账号快照
+  saveSnapshot,
+  getSnapshots,
+  deleteSnapshot,
+  // 运行状态
+  getState,
+  setState,
+  // 两步验证
+  loadTwoFactor,
+  saveTwoFactor,
+  deleteTwoFactor,
+  getTwoFactorUserKeys,
+  // 通行密钥
+  getPasskeys,
+  getPasskey,
+  savePasskey,
+  deletePasskey,
+  // 审计日志
+  recordAuditLog,
+  getAuditLogs,
   // 连接
   closeDatabase
 };
@@ -0,0 +1,235 @@
+/**
+ * 邮件通知模块
+ * 通过 SMTP 发送告警邮件，每种事件同时提供 HTML 与纯文本内容
+ */
+
+const nodemailer = require('nodemailer');
+const { describeEvent } = require('./webhook-formats');
+
+// 连接加密方式：none 明文、starttls 升级加密（通常 587 端口）、tls 直接加密（通常 465 端口）
+const SECURITY_MODES = ['none', 'starttls', 'tls'];
+
+// 邮件中的级别颜色
+const SEVERITY_COLORS = {
+  critical: '#E53935',
+  warning: '#FB8C00',
+  success: '#43A047',
+  info: '#1E88E5'
+};
+
+// 各事件的邮件模板：摘要说明与处理建议
+const EMAIL_TEMPLATES = {
+  quota_warning: {
+    summary: '账号剩余免费额度已低于预警阈值。',
+    action: '请检查高消耗的服务，必要时暂停不需要的服务或充值。'
+  },
+  quota_exceeded: {
+    summary: '账号已超出免费额度，超出部分将按量计费。',
+    action: '请立即检查账单，暂停非必要服务以避免额外费用。'
+  },
+  quota_recovered: {
+    summary: '账号剩余额度已恢复到预警阈值以上。',
+    action: '无需处理。'
+  },
+  service_down: {
+    summary: '服务已停止运行。',
+    action: '如非手动停止，请在控制台中检查服务状态并重新启动。'
+  },
+  service_error: {
+    summary: '服务进入异常状态（崩溃、部署失败或部署长时间未完成）。',
+    action: '请查看服务日志定位问题，修复后重新部署。'
+  },
+  service_recovered: {
+    summary: '服务已恢复正常运行。',
+    action: '无需处理，建议查看日志确认故障原因。'
+  },
+  login_failed: {
+    summary: '监控面板出现多次登录失败。',
+    action: '如非本人操作，请检查访问来源并考虑修改管理员密码。'
+  },
+  account_added: {
+    summary: '监控面板中添加了新的 Zeabur 账号。',
+    action: '如非本人操作，请检查账号列表。'
+  },
+  account_removed: {
+    summary: '监控面板中删除了 Zeabur 账号。',
+    action: '如非本人操作，请检查账号列表。'
+  },
+  token_invalid: {
+    summary: '账号的 API Token 已失效（被撤销、过期或没有权限），后台轮询和服务操作无法继续。',
+    action: '请在 Zeabur 控制台重新创建 API Token，并在监控面板的账号卡片中替换。'
+  },
+  test: {
+    summary: '这是一封测试邮件，收到说明 SMTP 配置正确。',
+    action: '无需处理。'
+  }
+};
+
+// 当前邮件配置
+let emailConfig = null;
+
+/**
+ * 设置邮件配置
+ * @param {object|null} config - SMTP 配置
+ */
+function setEmailConfig(config) {
+  emailConfig = config || null;
+}
+
+/**
+ * 获取邮件配置
+ */
+function getEmailConfig() {
+  return emailConfig;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 生成邮件内容
+ * @param {object} envelope - 通用消息 { event, timestamp, data }
+ * @returns {object} { subject, html, text }
+ */
+function renderEmail(envelope) {
+  const description = describeEvent(envelope.event, envelope.data);
+  const template = EMAIL_TEMPLATES[envelope.event] || { summary: '', action: '' };
+  const color = SEVERITY_COLORS[description.severity];
+  const time = new Date(envelope.timestamp).toLocaleString('zh-CN', { hour12: false });
+
+  const text = [
+    description.title,
+    '',
+    description.message,
+    template.summary,
+    '',
+    ...description.fields.map(f => `${f.label}: ${f.value}`),
+    '',
+    `建议: ${template.action}`,
+    `时间: ${time}`
+  ].join('\n');
+
+  const rows = description.fields.map(f => `
+          <tr>
+            <td style="padding:6px 12px;color:#666;white-space:nowrap;">${escapeHtml(f.label)}</td>
+            <td style="padding:6px 12px;color:#222;">${escapeHtml(f.value)}</td>
+          </tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:-apple-system,'Segoe UI','PingFang SC','Microsoft YaHei',sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;overflow:hidden;">
+    <tr>
+      <td style="background:${color};color:#fff;padding:16px 24px;font-size:18px;font-weight:600;">${escapeHtml(description.title)}</td>
+    </tr>
+    <tr>
+      <td style="padding:20px 24px;">
+        <p style="margin:0 0 8px;font-size:15px;font-weight:600;color:#222;">${escapeHtml(description.message)}</p>
+        <p style="margin:0 0 16px;font-size:14px;color:#555;">${escapeHtml(template.summary)}</p>
+        <table cellpadding="0" cellspacing="0" style="width:100%;border-collapse:collapse;background:#fafafa;font-size:14px;">${rows}
+        </table>
+        <p style="margin:16px 0 0;font-size:14px;color:#555;"><strong>建议：</strong>${escapeHtml(template.action)}</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding:12px 24px;border-top:1px solid #eee;font-size:12px;color:#999;">${escapeHtml(time)} · Zeabur Monitor</td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  return { subject: `[Zeabur Monitor] ${description.message}`, html, text };
+}
+
+/**
+ * 创建 SMTP 连接
+ * @param {object} config - SMTP 配置
+ */
+function createTransport(config) {
+  return nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.security === 'tls',
+    requireTLS: config.security === 'starttls',
+    ignoreTLS: config.security === 'none',
+    auth: config.username ? { user: config.username, pass: config.password } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 20000
+  });
+}
+
+/**
+ * 发送邮件（单次发送，不重试）
+ * @param {object} config - SMTP 配置
+ * @param {object} envelope - 通用消息 { event, timestamp, data }
+ * @returns {Promise<object>} { messageId, accepted, rejected }
+ */
+async function sendEmail(config, envelope) {
+  const transport = createTransport(config);
+  try {
+    const { subject, html, text } = renderEmail(envelope);
+    const info = await transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject,
+      html,
+      text,
+      headers: { 'X-Zeabur-Monitor-Event': envelope.event }
+    });
+    return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+  } finally {
+    transport.close();
+  }
+}
+
+/**
+ * 按当前配置发送事件邮件
+ * @param {string} event - 事件类型
+ * @param {object} envelope - 通用消息 { event, timestamp, data }
+ * @returns {Promise<boolean|null>} 是否发送成功，未配置或未订阅该事件时为 null
+ */
+async function sendEventEmail(event, envelope) {
+  const config = emailConfig;
+  if (!config || config.enabled === false) return null;
+  if (config.events && config.events.length > 0 && !config.events.includes(event)) return null;
+
+  try {
+    await sendEmail(config, envelope);
+    return true;
+  } catch (error) {
+    console.error(`❌ 邮件通知发送失败 [${event}]:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 发送测试邮件
+ * @param {object} config - SMTP 配置
+ */
+async function testEmail(config) {
+  try {
+    const result = await sendEmail(config, {
+      event: 'test',
+      timestamp: new Date().toISOString(),
+      data: { message: '这是一封测试邮件' }
+    });
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  SECURITY_MODES,
+  setEmailConfig,
+  getEmailConfig,
+  renderEmail,
+  sendEventEmail,
+  testEmail
+};
@@ -0,0 +1,244 @@
+/**
+ * Prometheus 指标
+ * 进程内累计的计数器和直方图（Zeabur API 请求、Webhook 投递），以及抓取时根据账号快照、缓存和 Session 生成的指标，
+ * 统一输出为 Prometheus 文本格式（/metrics）
+ */
+
+// Zeabur API 请求耗时的直方图分桶（秒）
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// 已注册的进程内指标
+const registry = [];
+
+// ==================== 文本格式 ====================
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * 输出一个指标族
+ * @param {object} family - { name, help, type, samples: [{ name?, labels, value }] }
+ */
+function formatFamily({ name, help, type, samples }) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const sample of samples) {
+    lines.push(`${sample.name || name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+  }
+  return lines.join('\n');
+}
+
+// ==================== 进程内指标 ====================
+
+/**
+ * 计数器
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+    registry.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = JSON.stringify(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current?.value || 0) + value });
+  }
+
+  collect() {
+    return { name: this.name, help: this.help, type: 'counter', samples: [...this.values.values()] };
+  }
+}
+
+/**
+ * 直方图
+ */
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map();
+    registry.push(this);
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  collect() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bucket, i) => {
+        samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: bucket }, value: counts[i] });
+      });
+      samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ name: `${this.name}_sum`, labels, value: sum });
+      samples.push({ name: `${this.name}_count`, labels, value: count });
+    }
+    return { name: this.name, help: this.help, type: 'histogram', samples };
+  }
+}
+
+// 每次 HTTP 请求（含重试）的耗时，outcome 为 success 或错误代码
+const zeaburRequestDuration = new Histogram(
+  'zeabur_api_request_duration_seconds',
+  'Zeabur API HTTP request latency',
+  LATENCY_BUCKETS
+);
+
+// 重试后仍失败的 Zeabur API 请求
+const zeaburRequestErrors = new Counter('zeabur_api_errors_total', 'Zeabur API requests that failed after retries');
+
+// Webhook 投递结果（重试结束后）
+const webhookDeliveries = new Counter('zeabur_monitor_webhook_deliveries_total', 'Webhook deliveries by event and result');
+
+// ==================== 抓取时生成的指标 ====================
+
+function gauge(name, help, samples) {
+  return { name, help, type: 'gauge', samples };
+}
+
+function counter(name, help, samples) {
+  return { name, help, type: 'counter', samples };
+}
+
+/**
+ * 根据账号快照生成额度、余额、项目费用和服务状态指标
+ * @param {object} snapshots - { accountKey: snapshot }
+ */
+function snapshotFamilies(snapshots) {
+  const up = [];
+  const fetchedAt = [];
+  const quotaRemaining = [];
+  const quotaLimit = [];
+  const usage = [];
+  const credit = [];
+  const aihubBalance = [];
+  const projectCost = [];
+  const serviceStatus = [];
+
+  for (const [account, snapshot] of Object.entries(snapshots)) {
+    up.push({ labels: { account }, value: snapshot.success ? 1 : 0 });
+    if (snapshot.lastSuccessAt) {
+      fetchedAt.push({ labels: { account }, value: Math.floor(snapshot.lastSuccessAt / 1000) });
+    }
+    if (!snapshot.data) continue;
+
+    if (snapshot.usage) {
+      quotaRemaining.push({ labels: { account }, value: snapshot.usage.freeQuotaRemaining });
+      usage.push({ labels: { account }, value: snapshot.usage.totalUsage });
+    }
+    if (typeof snapshot.data.freeQuotaLimit === 'number') {
+      quotaLimit.push({ labels: { account }, value: snapshot.data.freeQuotaLimit });
+    }
+    if (typeof snapshot.data.accountCredit === 'number') {
+      credit.push({ labels: { account }, value: snapshot.data.accountCredit / 100 });
+    }
+    if (typeof snapshot.aihub?.balance === 'number') {
+      aihubBalance.push({ labels: { account }, value: snapshot.aihub.balance });
+    }
+
+    for (const project of snapshot.projects || []) {
+      projectCost.push({ labels: { account, project: project.name, project_id: project._id, region: project.region }, value: project.cost || 0 });
+      for (const service of project.services || []) {
+        serviceStatus.push({
+          labels: { account, project: project.name, service: service.name, service_id: service._id, status: service.status || 'UNKNOWN' },
+          value: 1
+        });
+      }
+    }
+  }
+
+  return [
+    gauge('zeabur_account_up', 'Whether the last poll of the account succeeded', up),
+    gauge('zeabur_account_last_success_timestamp_seconds', 'Time of the last successful poll', fetchedAt),
+    gauge('zeabur_free_quota_remaining_dollars', 'Free quota remaining this month', quotaRemaining),
+    gauge('zeabur_free_quota_limit_dollars', 'Monthly free quota', quotaLimit),
+    gauge('zeabur_monthly_usage_dollars', 'Usage this month', usage),
+    gauge('zeabur_credit_dollars', 'Zeabur account credit', credit),
+    gauge('zeabur_aihub_balance_dollars', 'AI Hub balance', aihubBalance),
+    gauge('zeabur_project_monthly_cost_dollars', 'Project cost this month', projectCost),
+    gauge('zeabur_service_status', 'Current service status (always 1, the status is in the label)', serviceStatus)
+  ];
+}
+
+/**
+ * 根据缓存统计生成命中、淘汰和内存占用指标
+ * @param {object} stats - cache.getStats() 的返回值
+ */
+function cacheFamilies(stats) {
+  const lookups = [
+    { labels: { result: 'hit' }, value: stats.hits },
+    { labels: { result: 'stale' }, value: stats.staleHits },
+    { labels: { result: 'miss' }, value: stats.misses }
+  ];
+  return [
+    counter('zeabur_monitor_cache_lookups_total', 'Cache lookups by result', lookups),
+    counter('zeabur_monitor_cache_evictions_total', 'Memory cache entries evicted by the LRU', [{ value: stats.evictions }]),
+    gauge('zeabur_monitor_cache_memory_entries', 'Memory cache entries', [{ value: stats.memorySize }]),
+    gauge('zeabur_monitor_cache_memory_bytes', 'Memory cache size in bytes', [{ value: stats.memoryBytes }])
+  ];
+}
+
+/**
+ * 根据 Zeabur 客户端统计生成请求数和合并数指标
+ * @param {object} stats - zeabur.getClientStats() 的返回值
+ */
+function clientFamilies(stats) {
+  return [
+    counter('zeabur_api_requests_total', 'Zeabur API HTTP requests sent', [{ value: stats.requests }]),
+    counter('zeabur_api_retries_total', 'Zeabur API requests retried', [{ value: stats.retries }]),
+    counter('zeabur_api_coalesced_total', 'Zeabur API queries served by an identical in-flight request', [{ value: stats.coalesced }]),
+    counter('zeabur_api_batched_fields_total', 'Zeabur API fields merged into batched requests', [{ value: stats.batchedFields }]),
+    gauge('zeabur_api_requests_in_flight', 'Zeabur API HTTP requests in progress', [{ value: stats.active }]),
+    gauge('zeabur_api_requests_queued', 'Zeabur API requests waiting for a concurrency slot', [{ value: stats.queued }])
+  ];
+}
+
+/**
+ * 生成完整的 Prometheus 文本
+ * @param {object} data - { snapshots, cacheStats, clientStats, activeSessions }
+ * @returns {string}
+ */
+function renderMetrics({ snapshots, cacheStats, clientStats, activeSessions }) {
+  const families = [
+    ...snapshotFamilies(snapshots),
+    ...registry.map(metric => metric.collect()),
+    ...clientFamilies(clientStats),
+    ...cacheFamilies(cacheStats),
+    gauge('zeabur_monitor_active_sessions', 'Active login sessions', [{ value: activeSessions }])
+  ];
+  return families.map(formatFamily).join('\n') + '\n';
+}
+
+module.exports = {
+  zeaburRequestDuration,
+  zeaburRequestErrors,
+  webhookDeliveries,
+  renderMetrics
+};
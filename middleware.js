@@ -4,7 +4,11 @@
  */
 
 const rateLimit = require('express-rate-limit');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { CHANNEL_TYPES, PUSH_TYPES, detectChannelType } = require('./webhook-formats');
+const { detectPushType, validatePushUrl } = require('./push-channels');
+const { SECURITY_MODES } = require('./mailer');
+const { EVENTS } = require('./notifications');
 
 // ==================== 限流配置 ====================
 
@@ -72,6 +76,105 @@ const validatePassword = [
   handleValidation
 ];
 
+// 角色（权限从低到高）：viewer 只读，operator 可管理账号、服务与 Webhook，admin 可管理用户与系统
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * 角色权限检查（需放在 requireAuth 之后）
+ * @param {string} role - 最低角色要求
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  return (req, res, next) => {
+    if (ROLES.indexOf(req.user?.role) < required) {
+      return res.status(403).json({ error: '权限不足' });
+    }
+    next();
+  };
+}
+
+// 用户名：字母、数字、下划线、点和横线
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{2,50}$/;
+
+// 两步验证码：6 位数字或恢复码（xxxxx-xxxxx）
+const twoFactorCode = () => body('code')
+  .isString().withMessage('验证码必须是字符串')
+  .isLength({ min: 6, max: 20 }).withMessage('验证码格式无效');
+
+/**
+ * 管理员密码登录验证规则（启用两步验证时需要 code）
+ */
+const validateVerifyPassword = [
+  twoFactorCode().optional(),
+  ...validatePassword
+];
+
+/**
+ * 登录验证规则
+ */
+const validateLogin = [
+  body('username')
+    .isString().withMessage('用户名必须是字符串')
+    .matches(USERNAME_PATTERN).withMessage('用户名格式无效'),
+  twoFactorCode().optional(),
+  ...validatePassword
+];
+
+/**
+ * 两步验证码验证规则
+ */
+const validateTwoFactorCode = [
+  twoFactorCode(),
+  handleValidation
+];
+
+/**
+ * 通行密钥响应验证规则（浏览器返回的 WebAuthn 凭据，由 passkeys.js 负责校验内容）
+ */
+const validatePasskeyResponse = [
+  body('response')
+    .isObject().withMessage('通行密钥响应无效'),
+  body('response.id')
+    .isString().withMessage('通行密钥响应无效')
+    .isLength({ min: 1, max: 512 }).withMessage('通行密钥响应无效'),
+  handleValidation
+];
+
+/**
+ * 注册通行密钥验证规则
+ */
+const validatePasskeyRegistration = [
+  body('name')
+    .optional()
+    .isString().withMessage('名称必须是字符串')
+    .trim()
+    .isLength({ max: 100 }).withMessage('名称长度不能超过 100 位'),
+  ...validatePasskeyResponse
+];
+
+/**
+ * 创建用户验证规则
+ */
+const validateUser = [
+  body('username')
+    .isString().withMessage('用户名必须是字符串')
+    .matches(USERNAME_PATTERN).withMessage('用户名只能包含字母、数字、下划线、点和横线，长度 2-50 位')
+    .custom(value => value.toLowerCase() !== 'admin').withMessage('admin 为内置管理员用户名'),
+  body('role')
+    .optional()
+    .isIn(ROLES).withMessage('角色无效'),
+  ...validatePassword
+];
+
+/**
+ * 修改用户角色验证规则
+ */
+const validateUserRole = [
+  param('id').isInt({ min: 1 }).withMessage('用户 ID 无效'),
+  body('role').isIn(ROLES).withMessage('角色无效'),
+  handleValidation
+];
+
 /**
  * 账号验证规则
  */
@@ -103,9 +206,13 @@ const validateAccounts = [
         if (!acc.name || typeof acc.name !== 'string') {
           throw new Error('每个账号必须有名称');
         }
-        if (!acc.token || typeof acc.token !== 'string') {
+        // 已保存的账号只提交 id，Token 由服务器保留
+        if (acc.id === undefined && (!acc.token || typeof acc.token !== 'string')) {
           throw new Error('每个账号必须有 Token');
         }
+        if (acc.token !== undefined && typeof acc.token !== 'string') {
+          throw new Error('Token 必须是字符串');
+        }
         if (acc.name.length > 50) {
           throw new Error('账号名称不能超过 50 个字符');
         }
@@ -124,13 +231,64 @@ const validateIndex = [
   handleValidation
 ];
 
+// 账号 ID（服务器分配，环境变量中的账号为 env:名称）
+const accountIdRule = (field) => field
+  .isString().withMessage('账号 ID 必须是字符串')
+  .isLength({ min: 1, max: 100 }).withMessage('账号 ID 长度无效');
+
+/**
+ * 添加单个账号验证
+ */
+const validateAccountCreate = [
+  body('name')
+    .isString().withMessage('账号名称必须是字符串')
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('账号名称长度必须在 1-50 位之间'),
+  body('token')
+    .isString().withMessage('API Token 必须是字符串')
+    .trim()
+    .isLength({ min: 1, max: 500 }).withMessage('API Token 长度无效'),
+  body('ownerId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('用户 ID 无效')
+    .toInt(),
+  handleValidation
+];
+
+/**
+ * 修改单个账号验证（改名、替换 Token、调整顺序）
+ */
+const validateAccountUpdate = [
+  accountIdRule(param('accountId')),
+  body('name')
+    .optional()
+    .isString().withMessage('账号名称必须是字符串')
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('账号名称长度必须在 1-50 位之间'),
+  body('token')
+    .optional()
+    .isString().withMessage('API Token 必须是字符串')
+    .trim()
+    .isLength({ min: 1, max: 500 }).withMessage('API Token 长度无效'),
+  body('position')
+    .optional()
+    .isInt({ min: 0, max: 999 }).withMessage('位置必须是 0-999 的整数')
+    .toInt(),
+  body()
+    .custom((value) => {
+      if (value?.name === undefined && value?.token === undefined && value?.position === undefined) {
+        throw new Error('没有需要修改的内容');
+      }
+      return true;
+    }),
+  handleValidation
+];
+
 /**
  * 项目重命名验证
  */
 const validateRename = [
-  body('accountId')
-    .isString().withMessage('账号 ID 必须是字符串')
-    .isLength({ min: 1, max: 100 }).withMessage('账号 ID 长度无效'),
+  accountIdRule(body('accountId')),
   body('projectId')
     .isString().withMessage('项目 ID 必须是字符串')
     .isLength({ min: 1, max: 100 }).withMessage('项目 ID 长度无效'),
@@ -145,8 +303,7 @@ const validateRename = [
  * 服务操作验证
  */
 const validateServiceAction = [
-  body('token')
-    .isString().withMessage('Token 必须是字符串'),
+  accountIdRule(body('accountId')),
   body('serviceId')
     .isString().withMessage('服务 ID 必须是字符串'),
   body('environmentId')
@@ -158,8 +315,7 @@ const validateServiceAction = [
  * 日志查询验证
  */
 const validateLogsQuery = [
-  body('token')
-    .isString().withMessage('Token 必须是字符串'),
+  accountIdRule(body('accountId')),
   body('serviceId')
     .isString().withMessage('服务 ID 必须是字符串'),
   body('environmentId')
@@ -175,31 +331,163 @@ const validateLogsQuery = [
 /**
  * Webhook 配置验证
  */
+// 未指定 type 时按 URL 协议推断（bark://、ntfy:// 等为手机推送渠道）
+const isPushChannel = (url, { req }) => PUSH_TYPES.includes(req.body.type || detectChannelType(url));
+
 const validateWebhook = [
   body('url')
+    .if((url, meta) => !isPushChannel(url, meta))
     .isURL({ protocols: ['http', 'https'] }).withMessage('Webhook URL 格式无效'),
-  body('events')
+  body('url')
+    .if(isPushChannel)
+    .custom((url, { req }) => {
+      const error = validatePushUrl(url);
+      if (error) throw new Error(error);
+      if (req.body.type && detectPushType(url) !== req.body.type) {
+        throw new Error('推送地址协议与渠道类型不匹配');
+      }
+      return true;
+    }),
+  body('type')
     .optional()
+    .isIn(CHANNEL_TYPES).withMessage(`渠道类型必须是 ${CHANNEL_TYPES.join(' / ')} 之一`),
+  body('options')
+    .optional()
+    .isObject().withMessage('渠道参数必须是对象'),
+  body('options.chatId')
+    .if(body('type').equals('telegram'))
+    .notEmpty().withMessage('Telegram 渠道必须填写 Chat ID'),
+  body('name')
+    .optional({ values: 'null' })
+    .isString().isLength({ max: 100 }).withMessage('名称长度不能超过 100'),
+  // null 表示订阅全部事件
+  body('events')
+    .optional({ values: 'null' })
     .isArray().withMessage('事件列表必须是数组'),
+  body('events.*')
+    .isIn(Object.values(EVENTS)).withMessage('未知的事件类型'),
   body('secret')
-    .optional()
+    .optional({ values: 'null' })
     .isString().isLength({ max: 256 }).withMessage('密钥长度不能超过 256'),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('enabled 必须是布尔值'),
+  handleValidation
+];
+
+/**
+ * Webhook 投递记录查询验证
+ */
+const validateDeliveriesQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('记录条数限制必须在 1-200 之间'),
+  handleValidation
+];
+
+/**
+ * 审计日志查询验证规则
+ */
+const validateAuditQuery = [
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+\.?[a-z_]*$/).withMessage('操作类型格式无效'),
+  query('username')
+    .optional()
+    .isLength({ max: 50 }).withMessage('用户名不能超过 50 个字符'),
+  query('result')
+    .optional()
+    .isIn(['success', 'failure']).withMessage('结果只能是 success 或 failure'),
+  query('account')
+    .optional()
+    .isLength({ max: 50 }).withMessage('账号名称不能超过 50 个字符'),
+  query(['since', 'until'])
+    .optional()
+    .isISO8601().withMessage('时间格式无效（需为 ISO 8601）'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('记录条数限制必须在 1-200 之间'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('偏移量必须是非负整数'),
+  handleValidation
+];
+
+/**
+ * 账号轮询开关验证
+ */
+const validatePollerAccount = [
+  accountIdRule(param('accountId')),
+  body('enabled')
+    .isBoolean({ strict: true }).withMessage('enabled 必须是布尔值'),
+  handleValidation
+];
+
+/**
+ * 邮件通知配置验证
+ */
+const validateEmailConfig = [
+  body('host')
+    .isString().trim().isLength({ min: 1, max: 255 }).withMessage('SMTP 服务器地址不能为空'),
+  body('port')
+    .isInt({ min: 1, max: 65535 }).withMessage('SMTP 端口必须在 1-65535 之间')
+    .toInt(),
+  body('security')
+    .optional()
+    .isIn(SECURITY_MODES).withMessage(`加密方式必须是 ${SECURITY_MODES.join(' / ')} 之一`),
+  body('username')
+    .optional({ values: 'falsy' })
+    .isString().isLength({ max: 256 }).withMessage('SMTP 用户名长度不能超过 256'),
+  body('password')
+    .optional({ values: 'falsy' })
+    .isString().isLength({ max: 256 }).withMessage('SMTP 密码长度不能超过 256'),
+  body('from')
+    .isString().trim()
+    // 支持 "名称 <address@example.com>" 格式
+    .matches(/^(?:[^<>]*<[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+>|[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)$/)
+    .withMessage('发件人地址格式无效'),
+  body('to')
+    .isArray({ min: 1, max: 20 }).withMessage('收件人列表必须包含 1-20 个地址'),
+  body('to.*')
+    .isEmail().withMessage('收件人地址格式无效'),
+  body('events')
+    .optional()
+    .isArray().withMessage('事件列表必须是数组'),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('enabled 必须是布尔值'),
   handleValidation
 ];
 
 module.exports = {
+  // 权限
+  ROLES,
+  requireRole,
   // 限流器
   apiLimiter,
   loginLimiter,
   passwordSetLimiter,
   // 验证器
   validatePassword,
+  validateVerifyPassword,
+  validateLogin,
+  validateTwoFactorCode,
+  validatePasskeyResponse,
+  validatePasskeyRegistration,
+  validateUser,
+  validateUserRole,
   validateAccount,
   validateAccounts,
   validateIndex,
+  validateAccountCreate,
+  validateAccountUpdate,
   validateRename,
   validateServiceAction,
   validateLogsQuery,
   validateWebhook,
+  validateDeliveriesQuery,
+  validateAuditQuery,
+  validatePollerAccount,
+  validateEmailConfig,
   handleValidation
 };
@@ -1,32 +1,65 @@
 /**
  * 告警通知模块
- * 支持 Webhook、邮件等通知方式
+ * 支持 Webhook、手机推送、邮件等通知方式
  */
 
 const https = require('https');
 const http = require('http');
 const crypto = require('crypto');
+const db = require('./db');
+const { buildRequest, checkResponse } = require('./webhook-formats');
+const { sendEventEmail } = require('./mailer');
+const { signPayload, verifySignature } = require('./webhook-signature');
+const metrics = require('./metrics');
 
 // 通知事件类型
 const EVENTS = {
   QUOTA_WARNING: 'quota_warning',      // 额度预警
   QUOTA_EXCEEDED: 'quota_exceeded',    // 额度超出
+  QUOTA_RECOVERED: 'quota_recovered',  // 额度恢复
   SERVICE_DOWN: 'service_down',        // 服务停止
   SERVICE_ERROR: 'service_error',      // 服务错误
+  SERVICE_RECOVERED: 'service_recovered', // 服务恢复
   LOGIN_FAILED: 'login_failed',        // 登录失败
   ACCOUNT_ADDED: 'account_added',      // 账号添加
-  ACCOUNT_REMOVED: 'account_removed'   // 账号删除
+  ACCOUNT_REMOVED: 'account_removed',  // 账号删除
+  TOKEN_INVALID: 'token_invalid'       // Token 失效
 };
 
+// 投递重试配置：失败后按 WEBHOOK_RETRY_DELAY × 2^n 毫秒退避，最多重试 WEBHOOK_MAX_RETRIES 次
+const WEBHOOK_MAX_RETRIES = Math.max(parseInt(process.env.WEBHOOK_MAX_RETRIES, 10) || 3, 0);
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 1000;
+
+// 投递记录中保存的响应体最大长度
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
 // Webhook 配置存储
+// 只整体替换、不原地修改，正在发送的通知始终使用发送开始时的配置
 let webhookConfigs = [];
 
+// 串行执行的重新加载队列
+let reloadQueue = Promise.resolve();
+
 /**
  * 设置 Webhook 配置
  * @param {Array} configs - Webhook 配置数组
  */
 function setWebhookConfigs(configs) {
-  webhookConfigs = configs || [];
+  webhookConfigs = Object.freeze([...(configs || [])]);
+}
+
+/**
+ * 从存储重新加载 Webhook 配置
+ * 多个请求同时修改时按顺序加载，保证最后生效的是最新数据
+ * @returns {Promise<Array>} 加载后的配置
+ */
+function reloadWebhookConfigs() {
+  const reload = reloadQueue.then(async () => {
+    setWebhookConfigs(await db.getWebhooks(db.ALL_USERS));
+    return webhookConfigs;
+  });
+  reloadQueue = reload.catch(() => {});
+  return reload;
 }
 
 /**
@@ -42,7 +75,7 @@ function getWebhookConfigs() {
  */
 function addWebhook(config) {
   const id = crypto.randomBytes(8).toString('hex');
-  webhookConfigs.push({ id, ...config, createdAt: Date.now() });
+  setWebhookConfigs([...webhookConfigs, { id, ...config, createdAt: Date.now() }]);
   return id;
 }
 
@@ -51,43 +84,37 @@ function addWebhook(config) {
  * @param {string} id - Webhook ID
  */
 function removeWebhook(id) {
-  const index = webhookConfigs.findIndex(w => w.id === id);
-  if (index !== -1) {
-    webhookConfigs.splice(index, 1);
+  const remaining = webhookConfigs.filter(w => w.id !== id);
+  if (remaining.length !== webhookConfigs.length) {
+    setWebhookConfigs(remaining);
     return true;
   }
   return false;
 }
 
 /**
- * 生成签名
- * @param {string} payload - 请求体
- * @param {string} secret - 密钥
- */
-function generateSignature(payload, secret) {
-  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
-}
-
-/**
- * 发送 Webhook 通知
+ * 发送 Webhook 通知（只发送到事件所属用户的 Webhook）
  * @param {string} event - 事件类型
  * @param {object} data - 事件数据
+ * @param {number|null} userId - 所属用户 ID，null 为内置管理员
  */
-async function sendWebhook(event, data) {
+async function sendWebhook(event, data, userId = null) {
   const payload = JSON.stringify({
     event,
     timestamp: new Date().toISOString(),
     data
   });
 
-  const results = await Promise.allSettled(
+  const deliveries = await Promise.all(
     webhookConfigs
+      .filter(config => (config.userId ?? null) === userId)
+      .filter(config => config.enabled !== false)
       .filter(config => !config.events || config.events.includes(event))
-      .map(config => sendToWebhook(config, payload))
+      .map(config => deliverWebhook(config, event, payload))
   );
 
-  const success = results.filter(r => r.status === 'fulfilled').length;
-  const failed = results.filter(r => r.status === 'rejected').length;
+  const success = deliveries.filter(d => d.status === 'success').length;
+  const failed = deliveries.length - success;
 
   if (failed > 0) {
     console.log(`⚠️ Webhook 通知: ${success} 成功, ${failed} 失败`);
@@ -97,24 +124,146 @@ async function sendWebhook(event, data) {
 }
 
 /**
- * 发送到单个 Webhook
+ * 发送通知到所有渠道（Webhook 与邮件）
+ * 邮件由管理员配置，只接收内置管理员的事件
+ * @param {string} event - 事件类型
+ * @param {object} data - 事件数据
+ * @param {number|null} userId - 所属用户 ID，null 为内置管理员
+ * @returns {Promise<object>} { success, failed, email }
+ */
+async function sendNotification(event, data, userId = null) {
+  const envelope = { event, timestamp: new Date().toISOString(), data };
+  const [webhooks, email] = await Promise.all([
+    sendWebhook(event, data, userId),
+    userId === null ? sendEventEmail(event, envelope) : null
+  ]);
+  return { ...webhooks, email };
+}
+
+/**
+ * 投递到单个 Webhook，失败时按指数退避重试，并记录投递日志
+ * @param {object} config - Webhook 配置
+ * @param {string} event - 事件类型
+ * @param {string} payload - 请求体
+ * @param {string} redeliveryOf - 重新投递时的原投递记录 ID
+ * @returns {Promise<object>} 投递记录
  */
-function sendToWebhook(config, payload) {
+async function deliverWebhook(config, event, payload, redeliveryOf = null) {
+  const delivery = {
+    id: crypto.randomBytes(8).toString('hex'),
+    webhookId: config.id,
+    event,
+    payload,
+    status: 'pending',
+    statusCode: null,
+    responseBody: null,
+    error: null,
+    latency: null,
+    attempts: 0,
+    redeliveryOf,
+    createdAt: Date.now()
+  };
+  await recordDelivery(delivery);
+
+  for (let attempt = 0; attempt <= WEBHOOK_MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      await sleep(WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1));
+    }
+    delivery.attempts = attempt + 1;
+
+    try {
+      const result = await sendToWebhook(config, payload, event, delivery.id);
+      delivery.statusCode = result.status;
+      delivery.responseBody = result.body.slice(0, MAX_RESPONSE_BODY_LENGTH);
+      delivery.latency = result.latency;
+
+      if (result.status >= 200 && result.status < 300) {
+        // 平台在响应体中返回的业务错误（如签名错误）重试无意义
+        delivery.error = checkResponse(config.type, result.body);
+        delivery.status = delivery.error ? 'failed' : 'success';
+        break;
+      }
+
+      delivery.error = `HTTP ${result.status}`;
+      // 4xx（429 除外）为接收方拒绝，重试无意义
+      if (result.status < 500 && result.status !== 429) break;
+    } catch (error) {
+      delivery.statusCode = null;
+      delivery.responseBody = null;
+      delivery.latency = error.latency ?? null;
+      delivery.error = error.message;
+    }
+  }
+
+  if (delivery.status !== 'success') {
+    delivery.status = 'failed';
+  }
+  metrics.webhookDeliveries.inc({ event, result: delivery.status });
+  await recordDelivery(delivery);
+  return delivery;
+}
+
+/**
+ * 保存投递记录（测试发送没有 Webhook ID，不记录）
+ */
+async function recordDelivery(delivery) {
+  if (!delivery.webhookId) return;
+  try {
+    await db.saveWebhookDelivery(delivery);
+  } catch (e) {
+    console.error('❌ 保存 Webhook 投递记录失败:', e.message);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 重新投递历史记录
+ * @param {string} deliveryId - 投递记录 ID
+ * @param {number|null} userId - 当前用户 ID，只能重新投递自己的 Webhook
+ * @returns {Promise<object|null>} 新的投递记录（原记录或 Webhook 不存在、Webhook 已禁用时为 null）
+ */
+async function redeliverWebhook(deliveryId, userId = null) {
+  const original = await db.getWebhookDelivery(deliveryId);
+  if (!original) return null;
+
+  const config = webhookConfigs.find(w => w.id === original.webhookId && (w.userId ?? null) === userId);
+  if (!config || config.enabled === false) return null;
+
+  return deliverWebhook(config, original.event, original.payload, original.id);
+}
+
+/**
+ * 发送到单个 Webhook（单次请求，不重试）
+ * @param {object} config - Webhook 配置
+ * @param {string} payload - 请求体
+ * @param {string} event - 事件类型
+ * @param {string} deliveryId - 投递记录 ID（重试时保持不变，接收方可用于去重）
+ * @returns {Promise<object>} { status, body, latency }，网络错误时 reject
+ */
+function sendToWebhook(config, payload, event, deliveryId) {
   return new Promise((resolve, reject) => {
-    const url = new URL(config.url);
+    // 按渠道类型转换为平台原生格式
+    const request = buildRequest(config, JSON.parse(payload));
+    const url = new URL(request.url);
     const isHttps = url.protocol === 'https:';
     const client = isHttps ? https : http;
+    const startedAt = Date.now();
 
     const headers = {
       'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(payload),
+      'Content-Length': Buffer.byteLength(request.body),
       'User-Agent': 'Zeabur-Monitor-Webhook/2.0',
-      'X-Webhook-Event': payload.event
+      'X-Webhook-Event': event,
+      'X-Webhook-Delivery': deliveryId,
+      ...request.headers
     };
 
-    // 添加签名
-    if (config.secret) {
-      headers['X-Webhook-Signature'] = generateSignature(payload, config.secret);
+    // 添加签名（聊天平台使用各自的签名方式），每次发送使用当前时间戳
+    if (config.secret && (!config.type || config.type === 'generic')) {
+      headers['X-Webhook-Signature'] = signPayload(request.body, config.secret);
     }
 
     const options = {
@@ -126,25 +275,26 @@ function sendToWebhook(config, payload) {
       timeout: 10000
     };
 
+    const fail = (error) => {
+      error.latency = Date.now() - startedAt;
+      reject(error);
+    };
+
     const req = client.request(options, (res) => {
       let body = '';
       res.on('data', chunk => body += chunk);
       res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ status: res.statusCode, body });
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${body}`));
-        }
+        resolve({ status: res.statusCode, body, latency: Date.now() - startedAt });
       });
     });
 
-    req.on('error', reject);
+    req.on('error', fail);
     req.on('timeout', () => {
       req.destroy();
-      reject(new Error('Webhook 请求超时'));
+      fail(new Error('Webhook 请求超时'));
     });
 
-    req.write(payload);
+    req.write(request.body);
     req.end();
   });
 }
@@ -154,14 +304,47 @@ function sendToWebhook(config, payload) {
  * @param {string} accountName - 账号名称
  * @param {number} remaining - 剩余额度
  * @param {number} threshold - 阈值
+ * @param {number|null} userId - 账号所属用户 ID
  */
-async function notifyQuotaWarning(accountName, remaining, threshold) {
-  return sendWebhook(EVENTS.QUOTA_WARNING, {
+async function notifyQuotaWarning(accountName, remaining, threshold, userId = null) {
+  return sendNotification(EVENTS.QUOTA_WARNING, {
     accountName,
     remaining: `$${remaining.toFixed(2)}`,
     threshold: `$${threshold.toFixed(2)}`,
     message: `账号 ${accountName} 剩余额度 $${remaining.toFixed(2)}，低于阈值 $${threshold.toFixed(2)}`
-  });
+  }, userId);
+}
+
+/**
+ * 发送额度超出通知
+ * @param {string} accountName - 账号名称
+ * @param {number} remaining - 剩余额度（负数）
+ * @param {number} limit - 免费额度上限
+ * @param {number|null} userId - 账号所属用户 ID
+ */
+async function notifyQuotaExceeded(accountName, remaining, limit, userId = null) {
+  return sendNotification(EVENTS.QUOTA_EXCEEDED, {
+    accountName,
+    remaining: `$${remaining.toFixed(2)}`,
+    limit: `$${limit.toFixed(2)}`,
+    message: `账号 ${accountName} 已超出免费额度 $${Math.abs(remaining).toFixed(2)}，超出部分将产生费用`
+  }, userId);
+}
+
+/**
+ * 发送额度恢复通知
+ * @param {string} accountName - 账号名称
+ * @param {number} remaining - 剩余额度
+ * @param {string} previousState - 恢复前的状态（warning / exceeded）
+ * @param {number|null} userId - 账号所属用户 ID
+ */
+async function notifyQuotaRecovered(accountName, remaining, previousState, userId = null) {
+  return sendNotification(EVENTS.QUOTA_RECOVERED, {
+    accountName,
+    remaining: `$${remaining.toFixed(2)}`,
+    previousState,
+    message: `账号 ${accountName} 额度已恢复，当前剩余 $${remaining.toFixed(2)}`
+  }, userId);
 }
 
 /**
@@ -169,14 +352,58 @@ async function notifyQuotaWarning(accountName, remaining, threshold) {
  * @param {string} accountName - 账号名称
  * @param {string} serviceName - 服务名称
  * @param {string} projectName - 项目名称
+ * @param {string} status - 当前状态（可选）
+ * @param {number|null} userId - 账号所属用户 ID
  */
-async function notifyServiceDown(accountName, serviceName, projectName) {
-  return sendWebhook(EVENTS.SERVICE_DOWN, {
+async function notifyServiceDown(accountName, serviceName, projectName, status, userId = null) {
+  return sendNotification(EVENTS.SERVICE_DOWN, {
     accountName,
     serviceName,
     projectName,
+    status,
     message: `服务 ${serviceName} (${projectName}) 已停止运行`
-  });
+  }, userId);
+}
+
+/**
+ * 发送服务错误通知
+ * @param {string} accountName - 账号名称
+ * @param {string} serviceName - 服务名称
+ * @param {string} projectName - 项目名称
+ * @param {string} status - 当前状态
+ * @param {string} reason - 错误原因（可选）
+ * @param {number|null} userId - 账号所属用户 ID
+ */
+async function notifyServiceError(accountName, serviceName, projectName, status, reason, userId = null) {
+  return sendNotification(EVENTS.SERVICE_ERROR, {
+    accountName,
+    serviceName,
+    projectName,
+    status,
+    reason,
+    message: `服务 ${serviceName} (${projectName}) 状态异常: ${reason || status}`
+  }, userId);
+}
+
+/**
+ * 发送服务恢复通知
+ * @param {string} accountName - 账号名称
+ * @param {string} serviceName - 服务名称
+ * @param {string} projectName - 项目名称
+ * @param {string} previousStatus - 恢复前的状态
+ * @param {number} downtime - 故障持续时间（毫秒）
+ * @param {number|null} userId - 账号所属用户 ID
+ */
+async function notifyServiceRecovered(accountName, serviceName, projectName, previousStatus, downtime, userId = null) {
+  const minutes = Math.max(1, Math.round(downtime / 60000));
+  return sendNotification(EVENTS.SERVICE_RECOVERED, {
+    accountName,
+    serviceName,
+    projectName,
+    previousStatus,
+    downtime,
+    message: `服务 ${serviceName} (${projectName}) 已恢复运行，故障持续约 ${minutes} 分钟`
+  }, userId);
 }
 
 /**
@@ -185,20 +412,34 @@ async function notifyServiceDown(accountName, serviceName, projectName) {
  * @param {number} attempts - 尝试次数
  */
 async function notifyLoginFailed(ip, attempts) {
-  return sendWebhook(EVENTS.LOGIN_FAILED, {
+  return sendNotification(EVENTS.LOGIN_FAILED, {
     ip,
     attempts,
     message: `IP ${ip} 登录失败 ${attempts} 次`
   });
 }
 
+/**
+ * 发送 Token 失效通知
+ * @param {string} accountName - 账号名称
+ * @param {string} status - 健康状态（invalid / forbidden）
+ * @param {string} reason - 错误信息
+ * @param {number|null} userId - 账号所属用户 ID
+ */
+async function notifyTokenInvalid(accountName, status, reason, userId = null) {
+  return sendNotification(EVENTS.TOKEN_INVALID, {
+    accountName,
+    status: status === 'forbidden' ? '无权限' : '无效',
+    reason,
+    message: `账号 ${accountName} 的 API Token 已失效，请在面板中替换 Token`
+  }, userId);
+}
+
 /**
  * 测试 Webhook
- * @param {string} url - Webhook URL
- * @param {string} secret - 可选密钥
+ * @param {object} config - { url, secret, type, options }
  */
-async function testWebhook(url, secret) {
-  const config = { url, secret };
+async function testWebhook(config) {
   const payload = JSON.stringify({
     event: 'test',
     timestamp: new Date().toISOString(),
@@ -206,8 +447,12 @@ async function testWebhook(url, secret) {
   });
 
   try {
-    const result = await sendToWebhook(config, payload);
-    return { success: true, ...result };
+    const result = await sendToWebhook(config, payload, 'test', crypto.randomBytes(8).toString('hex'));
+    if (result.status >= 200 && result.status < 300) {
+      const error = checkResponse(config.type, result.body);
+      return error ? { success: false, error, ...result } : { success: true, ...result };
+    }
+    return { success: false, error: `HTTP ${result.status}: ${result.body}`, ...result };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -216,12 +461,21 @@ async function testWebhook(url, secret) {
 module.exports = {
   EVENTS,
   setWebhookConfigs,
+  reloadWebhookConfigs,
   getWebhookConfigs,
   addWebhook,
   removeWebhook,
   sendWebhook,
+  sendNotification,
+  redeliverWebhook,
   notifyQuotaWarning,
+  notifyQuotaExceeded,
+  notifyQuotaRecovered,
   notifyServiceDown,
+  notifyServiceError,
+  notifyServiceRecovered,
   notifyLoginFailed,
-  testWebhook
+  notifyTokenInvalid,
+  testWebhook,
+  verifySignature
 };
@@ -0,0 +1,150 @@
+/**
+ * 通行密钥模块（WebAuthn）
+ * 生成注册/登录选项并校验浏览器返回的凭据，凭据的存储由 db.js 负责
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+
+// 注册/登录选项的有效期
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+// 等待验证的 challenge：challenge -> { type, userKey, expiresAt }（只能使用一次）
+const pendingChallenges = new Map();
+
+/**
+ * 获取依赖方（Relying Party）配置
+ * 默认使用请求的域名和来源；通过反向代理或自定义域名访问时可用环境变量指定
+ * WEBAUTHN_RP_ID：域名（如 monitor.example.com），WEBAUTHN_ORIGIN：完整来源，多个用逗号分隔
+ */
+function getRelyingParty(req) {
+  const origins = process.env.WEBAUTHN_ORIGIN
+    ? process.env.WEBAUTHN_ORIGIN.split(',').map(origin => origin.trim()).filter(Boolean)
+    : [`${req.protocol}://${req.get('host')}`];
+
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || req.hostname,
+    rpName: 'Zeabur Monitor',
+    origins
+  };
+}
+
+function rememberChallenge(challenge, type, userKey = null) {
+  // 顺便清理过期的 challenge
+  const now = Date.now();
+  for (const [key, value] of pendingChallenges) {
+    if (value.expiresAt < now) pendingChallenges.delete(key);
+  }
+  pendingChallenges.set(challenge, { type, userKey, expiresAt: now + CHALLENGE_TTL });
+}
+
+function consumeChallenge(challenge, type, userKey = null) {
+  const pending = pendingChallenges.get(challenge);
+  pendingChallenges.delete(challenge);
+  return !!pending && pending.type === type && pending.userKey === userKey && pending.expiresAt >= Date.now();
+}
+
+/**
+ * 生成注册选项
+ * @param {object} req - Express 请求
+ * @param {string} userKey - 用户标识（内置管理员为 admin，其他用户为用户 ID）
+ * @param {string} username - 显示在验证器中的用户名
+ * @param {Array} existing - 用户已有的通行密钥，避免同一验证器重复注册
+ */
+async function createRegistrationOptions(req, userKey, username, existing = []) {
+  const { rpID, rpName } = getRelyingParty(req);
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userID: isoUint8Array.fromUTF8String(`zeabur-monitor:${userKey}`),
+    userName: username,
+    attestationType: 'none',
+    excludeCredentials: existing.map(passkey => ({ id: passkey.id, transports: passkey.transports })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required'
+    }
+  });
+  rememberChallenge(options.challenge, 'registration', userKey);
+  return options;
+}
+
+/**
+ * 校验注册响应
+ * @returns {Promise<object>} 需要保存的凭据 { id, publicKey, counter, transports, backedUp }
+ */
+async function verifyRegistration(req, userKey, response) {
+  const { rpID, origins } = getRelyingParty(req);
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge: challenge => consumeChallenge(challenge, 'registration', userKey),
+    expectedOrigin: origins,
+    expectedRPID: rpID,
+    requireUserVerification: true
+  });
+
+  if (!verified) {
+    throw new Error('通行密钥验证失败');
+  }
+
+  const { credential, credentialBackedUp } = registrationInfo;
+  return {
+    id: credential.id,
+    publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    backedUp: credentialBackedUp
+  };
+}
+
+/**
+ * 生成登录选项（可发现凭据，无需先输入用户名）
+ */
+async function createAuthenticationOptions(req) {
+  const { rpID } = getRelyingParty(req);
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: 'required'
+  });
+  rememberChallenge(options.challenge, 'authentication');
+  return options;
+}
+
+/**
+ * 校验登录响应（要求用户验证，通行密钥本身即满足两步验证）
+ * @param {object} passkey - 已保存的凭据
+ * @returns {Promise<number>} 新的签名计数器
+ */
+async function verifyAuthentication(req, response, passkey) {
+  const { rpID, origins } = getRelyingParty(req);
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge: challenge => consumeChallenge(challenge, 'authentication'),
+    expectedOrigin: origins,
+    expectedRPID: rpID,
+    credential: {
+      id: passkey.id,
+      publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+      counter: passkey.counter,
+      transports: passkey.transports
+    },
+    requireUserVerification: true
+  });
+
+  if (!verified) {
+    throw new Error('通行密钥验证失败');
+  }
+  return authenticationInfo.newCounter;
+}
+
+module.exports = {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
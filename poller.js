@@ -0,0 +1,216 @@
+/**
+ * 后台轮询模块
+ * 定期拉取所有账号的 Zeabur 数据并保存为快照，无需打开浏览器也能持续记录用量和触发告警
+ */
+
+const db = require('./db');
+
+// 轮询配置（秒）
+const POLL_ENABLED = process.env.POLL_ENABLED !== 'false';
+const POLL_INTERVAL = Math.max(parseInt(process.env.POLL_INTERVAL, 10) || 120, 30);
+const POLL_JITTER = Math.max(parseInt(process.env.POLL_JITTER ?? '15', 10) || 0, 0);
+
+// 停用轮询的账号（持久化到运行状态）
+const DISABLED_ACCOUNTS_STATE = 'poller_disabled_accounts';
+
+let accountsProvider = null;
+let snapshotCollector = null;
+const snapshotListeners = [];
+let disabledAccounts = new Set();
+
+let active = false;
+let timer = null;
+let currentRun = null;
+let lastRunAt = null;
+let lastRunDuration = null;
+let nextRunAt = null;
+let lastRunStats = { total: 0, success: 0, failed: 0, skipped: 0 };
+
+/**
+ * 获取账号在快照中的标识
+ * 账号名称只在同一用户内唯一，其他用户的账号加上用户 ID 前缀
+ * @param {object} account - 账号
+ * @returns {string}
+ */
+function getAccountKey(account) {
+  return account.userId ? `${account.userId}/${account.name}` : account.name;
+}
+
+/**
+ * 配置轮询器
+ * @param {object} options
+ * @param {Function} options.getAccounts - 返回所有账号的异步函数
+ * @param {Function} options.collectSnapshot - 拉取单个账号快照的异步函数
+ */
+function configurePoller({ getAccounts, collectSnapshot }) {
+  accountsProvider = getAccounts;
+  snapshotCollector = collectSnapshot;
+}
+
+/**
+ * 注册快照监听器（每次拉取完成后调用）
+ * @param {Function} listener - (account, snapshot, previous) => Promise|void
+ */
+function onSnapshot(listener) {
+  snapshotListeners.push(listener);
+}
+
+/**
+ * 执行一轮轮询
+ * 同一时间只会有一轮在执行，重复调用会复用正在进行的轮询
+ * @returns {Promise<object>} 本轮统计
+ */
+function runPoll() {
+  if (currentRun) return currentRun;
+
+  currentRun = (async () => {
+    const startedAt = Date.now();
+    const stats = { total: 0, success: 0, failed: 0, skipped: 0 };
+
+    try {
+      const accounts = await accountsProvider();
+      const previousSnapshots = await db.getSnapshots();
+      stats.total = accounts.length;
+
+      await Promise.all(accounts.map(async (account) => {
+        const key = getAccountKey(account);
+        if (disabledAccounts.has(key)) {
+          stats.skipped++;
+          return;
+        }
+
+        const previous = previousSnapshots[key] || null;
+        let snapshot = await snapshotCollector(account);
+        if (snapshot.success) {
+          stats.success++;
+          snapshot.lastSuccessAt = snapshot.fetchedAt;
+        } else {
+          stats.failed++;
+          // 拉取失败时保留上一次成功的数据，便于前端继续展示
+          snapshot = { ...previous, ...snapshot, lastSuccessAt: previous?.lastSuccessAt || null };
+        }
+
+        try {
+          await db.saveSnapshot(key, snapshot);
+        } catch (e) {
+          console.error(`❌ [${account.name}] 保存快照失败:`, e.message);
+        }
+
+        for (const listener of snapshotListeners) {
+          try {
+            await listener(account, snapshot, previous);
+          } catch (e) {
+            console.error(`❌ [${account.name}] 快照处理失败:`, e.message);
+          }
+        }
+      }));
+    } catch (e) {
+      console.error('❌ 后台轮询失败:', e.message);
+    }
+
+    lastRunAt = startedAt;
+    lastRunDuration = Date.now() - startedAt;
+    lastRunStats = stats;
+    return stats;
+  })().finally(() => {
+    currentRun = null;
+  });
+
+  return currentRun;
+}
+
+/**
+ * 安排下一轮轮询（间隔 + 随机抖动）
+ */
+function scheduleNext() {
+  const delay = Math.round((POLL_INTERVAL + Math.random() * POLL_JITTER) * 1000);
+  nextRunAt = Date.now() + delay;
+  timer = setTimeout(async () => {
+    await runPoll();
+    if (active) scheduleNext();
+  }, delay);
+}
+
+/**
+ * 启动后台轮询（立即执行一轮）
+ * @returns {Promise<boolean>} 是否已启动
+ */
+async function startPoller() {
+  disabledAccounts = new Set(await db.getState(DISABLED_ACCOUNTS_STATE, []));
+
+  if (!POLL_ENABLED) {
+    console.log('⏸️ 后台轮询: 已禁用');
+    return false;
+  }
+
+  if (active) return true;
+
+  active = true;
+  runPoll().finally(() => {
+    if (active) scheduleNext();
+  });
+  return true;
+}
+
+/**
+ * 停止后台轮询
+ */
+function stopPoller() {
+  active = false;
+  clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+}
+
+/**
+ * 启用/停用单个账号的轮询
+ * @param {string} accountKey - 账号标识
+ * @param {boolean} enabled - 是否启用
+ */
+async function setAccountPolling(accountKey, enabled) {
+  if (enabled) {
+    disabledAccounts.delete(accountKey);
+  } else {
+    disabledAccounts.add(accountKey);
+  }
+  await db.setState(DISABLED_ACCOUNTS_STATE, [...disabledAccounts]);
+}
+
+/**
+ * 检查账号是否启用轮询
+ * @param {string} accountKey - 账号标识
+ * @returns {boolean}
+ */
+function isAccountPollingEnabled(accountKey) {
+  return !disabledAccounts.has(accountKey);
+}
+
+/**
+ * 获取轮询状态（用于状态展示）
+ * @returns {object}
+ */
+function getPollerStatus() {
+  return {
+    enabled: POLL_ENABLED,
+    running: !!currentRun,
+    interval: POLL_INTERVAL,
+    jitter: POLL_JITTER,
+    lastRunAt,
+    lastRunDuration,
+    nextRunAt,
+    lastRun: lastRunStats,
+    disabledAccounts: [...disabledAccounts]
+  };
+}
+
+module.exports = {
+  configurePoller,
+  onSnapshot,
+  runPoll,
+  startPoller,
+  stopPoller,
+  setAccountPolling,
+  isAccountPollingEnabled,
+  getPollerStatus,
+  getAccountKey
+};
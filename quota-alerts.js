@@ -0,0 +1,144 @@
+/**
+ * 额度告警状态机
+ * 每个账号维护 ok → warning → exceeded 状态，只在状态变化（或到达重复提醒间隔）时发送通知
+ */
+
+const db = require('./db');
+const { notifyQuotaWarning, notifyQuotaExceeded, notifyQuotaRecovered } = require('./notifications');
+
+// 额度预警阈值（美元）
+const QUOTA_WARNING_THRESHOLD = parseFloat(process.env.QUOTA_WARNING_THRESHOLD) || 1.0;
+
+function parseHours(value, defaultValue) {
+  const hours = parseFloat(value);
+  return Number.isNaN(hours) ? defaultValue : hours;
+}
+
+// 重复提醒间隔（小时），0 表示同一状态只通知一次
+const WARNING_RENOTIFY_HOURS = parseHours(process.env.QUOTA_WARNING_RENOTIFY_HOURS, 24);
+const EXCEEDED_RENOTIFY_HOURS = parseHours(process.env.QUOTA_EXCEEDED_RENOTIFY_HOURS, 6);
+
+const QUOTA_ALERTS_STATE = 'quota_alerts';
+
+// 告警状态
+const STATES = {
+  OK: 'ok',
+  WARNING: 'warning',
+  EXCEEDED: 'exceeded'
+};
+
+// { accountKey: { state, since, lastNotifiedAt } }
+let alertStates = {};
+
+/**
+ * 加载持久化的告警状态
+ */
+async function initQuotaAlerts() {
+  alertStates = await db.getState(QUOTA_ALERTS_STATE, {});
+}
+
+/**
+ * 根据剩余额度计算状态
+ * @param {number} remaining - 剩余免费额度
+ * @returns {string}
+ */
+function resolveState(remaining) {
+  if (remaining < 0) return STATES.EXCEEDED;
+  if (remaining < QUOTA_WARNING_THRESHOLD) return STATES.WARNING;
+  return STATES.OK;
+}
+
+/**
+ * 检查是否到达重复提醒时间
+ */
+function shouldRenotify(current, now) {
+  const hours = current.state === STATES.EXCEEDED ? EXCEEDED_RENOTIFY_HOURS : WARNING_RENOTIFY_HOURS;
+  if (hours <= 0 || !current.lastNotifiedAt) return false;
+  return now - current.lastNotifiedAt >= hours * 60 * 60 * 1000;
+}
+
+/**
+ * 更新账号额度状态并发送通知
+ * @param {string} accountKey - 账号标识
+ * @param {string} accountName - 账号名称
+ * @param {number} remaining - 剩余免费额度
+ * @param {number} limit - 免费额度上限
+ * @param {number|null} userId - 账号所属用户 ID（通知只发送给该用户）
+ * @returns {Promise<string|null>} 本次发送的通知类型（无通知时为 null）
+ */
+async function checkQuota(accountKey, accountName, remaining, limit, userId = null) {
+  const now = Date.now();
+  const state = resolveState(remaining);
+  const previous = alertStates[accountKey] || { state: STATES.OK, since: now, lastNotifiedAt: null };
+  const next = { ...previous };
+  let notified = null;
+
+  if (state !== previous.state) {
+    next.state = state;
+    next.since = now;
+    next.lastNotifiedAt = null;
+
+    if (state === STATES.OK) {
+      notified = 'recovered';
+      notifyQuotaRecovered(accountName, remaining, previous.state, userId).catch(() => {});
+    } else {
+      notified = state;
+    }
+  } else if (state !== STATES.OK && shouldRenotify(previous, now)) {
+    notified = state;
+  }
+
+  if (notified === STATES.WARNING) {
+    notifyQuotaWarning(accountName, remaining, QUOTA_WARNING_THRESHOLD, userId).catch(() => {});
+  } else if (notified === STATES.EXCEEDED) {
+    notifyQuotaExceeded(accountName, remaining, limit, userId).catch(() => {});
+  }
+  if (notified && notified !== 'recovered') {
+    next.lastNotifiedAt = now;
+  }
+
+  if (JSON.stringify(next) !== JSON.stringify(alertStates[accountKey])) {
+    alertStates[accountKey] = next;
+    await db.setState(QUOTA_ALERTS_STATE, alertStates);
+  }
+
+  return notified;
+}
+
+/**
+ * 获取所有账号的额度告警状态
+ * @returns {object}
+ */
+function getQuotaAlertStates() {
+  return alertStates;
+}
+
+/**
+ * 移除账号的额度告警状态（账号删除时调用）
+ * @param {string} accountKey - 账号标识
+ */
+async function forgetAccount(accountKey) {
+  delete alertStates[accountKey];
+  await db.setState(QUOTA_ALERTS_STATE, alertStates);
+}
+
+/**
+ * 获取告警配置（用于状态展示）
+ * @returns {object}
+ */
+function getQuotaAlertConfig() {
+  return {
+    threshold: QUOTA_WARNING_THRESHOLD,
+    warningRenotifyHours: WARNING_RENOTIFY_HOURS,
+    exceededRenotifyHours: EXCEEDED_RENOTIFY_HOURS
+  };
+}
+
+module.exports = {
+  STATES,
+  initQuotaAlerts,
+  checkQuota,
+  getQuotaAlertStates,
+  getQuotaAlertConfig,
+  forgetAccount
+};
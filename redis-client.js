@@ -199,6 +199,28 @@ async function closeRedisClient() {
   }
 }
 
+// SCAN 每次扫描的数量提示
+const SCAN_COUNT = 200;
+
+/**
+ * 使用 SCAN 游标分批遍历匹配的键（KEYS 在键较多时会阻塞 Redis，共享实例上不要使用）
+ * SCAN 可能返回重复的键，需要精确计数时由调用方去重
+ * @param {string} pattern - 匹配模式（支持 * 通配符）
+ * @param {Function} onKeys - 每批键的回调 (keys) => Promise|void
+ * @returns {Promise<void>}
+ */
+async function scanKeys(pattern, onKeys) {
+  if (!redisClient) return;
+  let cursor = '0';
+  do {
+    const [next, keys] = await redisClient.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+    cursor = next;
+    if (keys.length > 0) {
+      await onKeys(keys);
+    }
+  } while (cursor !== '0');
+}
+
 /**
  * 获取 Redis 连接信息（用于状态展示）
  * @returns {object}
@@ -222,5 +244,6 @@ module.exports = {
   isRedisAvailable,
   healthCheck,
   closeRedisClient,
+  scanKeys,
   getRedisInfo
 };
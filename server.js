@@ -2,14 +2,26 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const https = require('https');
-const { encryptData, decryptData } = require('./crypto-utils');
+const { encryptData, decryptData, maskToken } = require('./crypto-utils');
 const { hashPassword, verifyPassword, isHashed } = require('./password-utils');
 const { initSessionStore, createSession, validateSession, destroySession, isRedisSessionEnabled } = require('./session-store');
-const { apiLimiter, loginLimiter, passwordSetLimiter, validatePassword, validateAccounts, validateIndex, validateRename, validateServiceAction, validateLogsQuery, validateWebhook } = require('./middleware');
-const { setWebhookConfigs, sendWebhook, testWebhook, EVENTS } = require('./notifications');
+const { requireRole, apiLimiter, loginLimiter, passwordSetLimiter, validatePassword, validateVerifyPassword, validateLogin, validateTwoFactorCode, validatePasskeyResponse, validatePasskeyRegistration, validateUser, validateUserRole, validateAccounts, validateIndex, validateAccountCreate, validateAccountUpdate, validateRename, validateServiceAction, validateLogsQuery, validateWebhook, validatePollerAccount, validateDeliveriesQuery, validateAuditQuery, validateEmailConfig } = require('./middleware');
+const { reloadWebhookConfigs, sendNotification, testWebhook, redeliverWebhook, EVENTS } = require('./notifications');
 const db = require('./db');
 const cache = require('./cache');
 const { getRedisInfo, closeRedisClient } = require('./redis-client');
+const poller = require('./poller');
+const serviceMonitor = require('./service-monitor');
+const quotaAlerts = require('./quota-alerts');
+const tokenHealth = require('./token-health');
+const { CHANNEL_TYPES, EVENT_META, detectChannelType } = require('./webhook-formats');
+const { setEmailConfig, getEmailConfig, testEmail } = require('./mailer');
+const { AUDIT_ACTIONS, auditAction } = require('./audit-log');
+const { generateSecret, verifyTotp, buildOtpauthUri, generateRecoveryCodes, hashRecoveryCode, isRecoveryCode } = require('./totp');
+const QRCode = require('qrcode');
+const passkeys = require('./passkeys');
+const zeabur = require('./zeabur-client');
+const { renderMetrics } = require('./metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,21 +33,18 @@ app.set('trust proxy', 1);
 const ACCOUNTS_SECRET = process.env.ACCOUNTS_SECRET;
 const ENCRYPTION_ENABLED = ACCOUNTS_SECRET && ACCOUNTS_SECRET.length === 64;
 
-// 额度预警阈值
-const QUOTA_WARNING_THRESHOLD = parseFloat(process.env.QUOTA_WARNING_THRESHOLD) || 1.0;
-
 app.use(cors());
 app.use(express.json());
 app.use(apiLimiter); // 全局限流
 
 // ==================== 辅助函数 ====================
 
-async function loadServerAccounts() {
-  return await db.loadAccounts(ENCRYPTION_ENABLED, decryptData, ACCOUNTS_SECRET);
+async function loadServerAccounts(userId = null) {
+  return await db.loadAccounts(ENCRYPTION_ENABLED, decryptData, ACCOUNTS_SECRET, userId);
 }
 
-async function saveServerAccounts(accounts) {
-  return await db.saveAccounts(accounts, ENCRYPTION_ENABLED, encryptData, ACCOUNTS_SECRET);
+async function saveServerAccounts(accounts, userId = null) {
+  return await db.saveAccounts(accounts, ENCRYPTION_ENABLED, encryptData, ACCOUNTS_SECRET, userId);
 }
 
 async function loadAdminPassword() {
@@ -53,7 +62,7 @@ function getEnvAccounts() {
   try {
     return accountsEnv.split(',').map(item => {
       const [name, token] = item.split(':');
-      return { name: name.trim(), token: token.trim() };
+      return { id: `env:${name.trim()}`, name: name.trim(), token: token.trim(), userId: null };
     }).filter(acc => acc.name && acc.token);
   } catch (e) {
     console.error('❌ 解析环境变量 ACCOUNTS 失败:', e.message);
@@ -61,30 +70,115 @@ function getEnvAccounts() {
   }
 }
 
+// 环境变量中的账号属于内置管理员
+async function loadAllAccounts(userId = null) {
+  const serverAccounts = await loadServerAccounts(userId);
+  return userId === null ? [...getEnvAccounts(), ...serverAccounts] : serverAccounts;
+}
+
+// 后台轮询所有用户的账号
+async function loadPollingAccounts() {
+  const serverAccounts = await loadServerAccounts(db.ALL_USERS);
+  return [...getEnvAccounts(), ...serverAccounts];
+}
+
+// 返回给前端的账号信息：Token 只在服务端使用，前端只能看到脱敏后的值
+// 环境变量中的账号只能在部署配置中修改，标记为只读
+function toPublicAccount(account) {
+  const publicAccount = { id: String(account.id), name: account.name, email: account.email, maskedToken: maskToken(account.token) };
+  if (isEnvAccount(account.id)) publicAccount.readOnly = true;
+  return publicAccount;
+}
+
+function isEnvAccount(accountId) {
+  return String(accountId).startsWith('env:');
+}
+
+/**
+ * 根据账号 ID 加载当前用户的账号（路径参数 :accountId 或请求体 accountId）
+ * 服务操作通过 req.account.token 调用 Zeabur API，前端不需要持有 Token
+ * writable 为 true 时拒绝修改环境变量中的账号
+ */
+function loadAccount({ writable = false } = {}) {
+  return async (req, res, next) => {
+    const accountId = String(req.params.accountId ?? req.body.accountId);
+    const accounts = await loadAllAccounts(req.user.id);
+    const account = accounts.find(acc => String(acc.id) === accountId);
+    if (!account) {
+      return res.status(404).json({ error: '账号不存在' });
+    }
+    if (writable && isEnvAccount(account.id)) {
+      return res.status(403).json({ error: '环境变量中的账号为只读' });
+    }
+
+    req.account = account;
+    next();
+  };
+}
+
+// 账号删除后清理快照、服务状态、额度预警、Token 健康状态和轮询开关
+function forgetAccountState(account) {
+  const key = poller.getAccountKey(account);
+  db.deleteSnapshot(key).catch(() => {});
+  serviceMonitor.forgetAccount(key).catch(() => {});
+  quotaAlerts.forgetAccount(key).catch(() => {});
+  tokenHealth.forgetAccount(key).catch(() => {});
+  poller.setAccountPolling(key, true).catch(() => {});
+}
+
+// 账号改名后迁移用量历史和轮询开关，其余状态在下一次轮询时按新名称重建
+async function moveAccountState(oldAccount, newAccount) {
+  const oldKey = poller.getAccountKey(oldAccount);
+  const newKey = poller.getAccountKey(newAccount);
+  await db.renameUsageHistory(oldKey, newKey);
+  if (!poller.isAccountPollingEnabled(oldKey)) {
+    await poller.setAccountPolling(newKey, false);
+  }
+  forgetAccountState(oldAccount);
+}
+
 // ==================== 认证中间件 ====================
 
+// 内置管理员（使用管理员密码登录），拥有未归属用户的账号与 Webhook
+const ADMIN_USER = Object.freeze({ id: null, username: 'admin', role: 'admin' });
+
+/**
+ * 根据 Session 获取当前用户，用户已被删除时返回 null
+ */
+async function resolveSessionUser(session) {
+  // 旧版本 Session 的 userId 为 'admin'
+  if (session.userId === null || session.userId === undefined || session.userId === 'admin') {
+    return ADMIN_USER;
+  }
+  return await db.getUserById(session.userId);
+}
+
 async function requireAuth(req, res, next) {
   const password = req.headers['x-admin-password'];
   const sessionToken = req.headers['x-session-token'];
   const savedPassword = await loadAdminPassword();
 
   if (!savedPassword) {
+    req.user = ADMIN_USER;
     return next();
   }
 
   // 验证 Session
   if (sessionToken) {
     const session = await validateSession(sessionToken);
-    if (session) {
+    const user = session && await resolveSessionUser(session);
+    if (user) {
       req.session = session;
+      req.user = user;
       return next();
     }
   }
 
-  // 验证密码
+  // 验证密码（管理员启用两步验证后不再接受仅凭密码的请求）
   if (password) {
-    const isValid = await verifyPassword(password, savedPassword);
+    const isValid = await verifyPassword(password, savedPassword) && !(await loadTwoFactor(ADMIN_USER))?.enabled;
     if (isValid) {
+      req.user = ADMIN_USER;
       return next();
     }
   }
@@ -92,6 +186,84 @@ async function requireAuth(req, res, next) {
   res.status(401).json({ error: '密码错误或Session无效' });
 }
 
+
+// ==================== 两步验证 ====================
+
+// 两步验证配置按用户保存：内置管理员为 admin，其他用户为用户 ID
+const twoFactorKey = user => (user.id === null ? 'admin' : String(user.id));
+
+async function loadTwoFactor(user) {
+  return await db.loadTwoFactor(twoFactorKey(user), ENCRYPTION_ENABLED, decryptData, ACCOUNTS_SECRET);
+}
+
+async function saveTwoFactor(user, record) {
+  return await db.saveTwoFactor(twoFactorKey(user), record, ENCRYPTION_ENABLED, encryptData, ACCOUNTS_SECRET);
+}
+
+/**
+ * 校验两步验证码（TOTP 或一次性恢复码），成功后记录已使用的时间步或作废该恢复码
+ * @returns {Promise<string|null>} 验证方式 totp / recovery，失败时为 null
+ */
+async function verifySecondFactor(user, record, code) {
+  if (isRecoveryCode(code)) {
+    const hash = hashRecoveryCode(code);
+    if (!record.recoveryCodes.includes(hash)) return null;
+    await saveTwoFactor(user, { ...record, recoveryCodes: record.recoveryCodes.filter(h => h !== hash) });
+    return 'recovery';
+  }
+
+  const step = verifyTotp(record.secret, code, { lastUsedStep: record.lastUsedStep ?? null });
+  if (step === null) return null;
+  await saveTwoFactor(user, { ...record, lastUsedStep: step });
+  return 'totp';
+}
+
+/**
+ * 登录时检查第二因素（密码已验证通过）
+ * 未启用两步验证时返回 true；需要验证码或验证码错误时直接响应并返回 false
+ */
+async function checkLoginSecondFactor(req, res, user) {
+  const record = await loadTwoFactor(user);
+  if (!record?.enabled) return true;
+
+  const { code } = req.body;
+  if (!code) {
+    res.locals.auditTarget = { twoFactor: 'pending' };
+    res.json({ success: false, twoFactorRequired: true });
+    return false;
+  }
+
+  const method = await verifySecondFactor(user, record, code);
+  if (!method) {
+    const ip = req.ip || req.connection.remoteAddress;
+    sendNotification(EVENTS.LOGIN_FAILED, { ip, username: user.username }).catch(() => {});
+    res.status(401).json({ success: false, twoFactorRequired: true, error: '验证码错误' });
+    return false;
+  }
+
+  res.locals.auditTarget = { twoFactor: method };
+  if (method === 'recovery') {
+    console.log(`⚠️ 用户 ${user.username} 使用恢复码登录`);
+  }
+  return true;
+}
+
+/**
+ * 从最新快照中查找服务操作涉及的账号、项目和服务名称（用于审计日志）
+ */
+async function describeServiceTarget(req) {
+  const { accountId, projectId, serviceId } = req.body;
+  if (!req.user) return { project: projectId, service: serviceId };
+
+  const account = req.account || (await loadAllAccounts(req.user.id)).find(acc => String(acc.id) === String(accountId));
+  if (!account) return { project: projectId, service: serviceId };
+
+  const snapshot = (await db.getSnapshots())[poller.getAccountKey(account)];
+  const project = snapshot?.projects?.find(p => p._id === projectId || p.services?.some(svc => svc._id === serviceId));
+  const service = project?.services?.find(svc => svc._id === serviceId);
+  return { account: account.name, project: project?.name || projectId, service: service?.name || serviceId };
+}
+
 // ==================== 静态文件 ====================
 
 const path = require('path');
@@ -99,83 +271,84 @@ app.use(express.static(path.join(__dirname, 'client/dist')));
 
 // 所有非 API 请求返回 React 前端
 app.get('*', (req, res, next) => {
-  if (req.path.startsWith('/api')) return next();
+  if (req.path.startsWith('/api') || req.path === '/metrics') return next();
   res.sendFile(path.join(__dirname, 'client/dist/index.html'));
 });
 
 // ==================== Zeabur API ====================
 
-async function queryZeabur(token, query) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({ query });
-    const options = {
-      hostname: 'api.zeabur.com',
-      path: '/graphql',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data)
-      },
-      timeout: 10000
-    };
+/**
+ * Zeabur API 错误按类型返回对应的状态码（Token 无效 400、无权限 403、限流 429、上游不可用 502）
+ */
+function sendZeaburError(res, message, error) {
+  const status = error instanceof zeabur.ZeaburError ? error.status : 500;
+  res.status(status).json({ error: `${message}: ${error.message}`, code: error.code });
+}
 
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => body += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(body));
-        } catch (e) {
-          reject(new Error('Invalid JSON response'));
-        }
-      });
-    });
+// Zeabur 响应按命名空间的缓存时间缓存（见 cache.NAMESPACE_TTL），过期后该时间（秒）内先返回旧数据并在后台刷新
+const CACHE_STALE_TTL = Math.max(parseInt(process.env.CACHE_STALE_TTL ?? '300', 10) || 0, 0);
 
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-    req.write(data);
-    req.end();
+// 缓存中使用 Token 的哈希代替 Token，替换 Token 后自动使用新的缓存
+function tokenHash(token) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+/**
+ * 生成账号缓存键
+ * @param {string} namespace - CACHE_KEYS 中的命名空间
+ * @param {string} token - API Token
+ * @param {string} suffix - 附加标识（如用量查询的月份）
+ */
+function accountCacheKey(namespace, token, suffix = '') {
+  const hash = tokenHash(token);
+  return suffix ? `${namespace}${hash}:${suffix}` : namespace + hash;
+}
+
+// 账号的所有 Zeabur 缓存都带有该标签，删除账号或替换 Token 时一次清除
+const accountCacheTag = token => 'account:' + tokenHash(token);
+
+// Token 失效或无权限时不再返回旧数据，让下一次请求暴露错误
+const isTokenError = error => error.code === 'INVALID_TOKEN' || error.code === 'FORBIDDEN';
+
+/**
+ * 按 stale-while-revalidate 缓存 Zeabur 响应
+ * @param {boolean} fresh - 跳过缓存获取最新数据（后台轮询使用，避免快照和告警落后一个轮询周期）
+ */
+function cachedZeabur(token, key, fetchFn, fresh = false) {
+  return cache.getStaleWhileRevalidate(key, fetchFn, {
+    staleTtl: CACHE_STALE_TTL,
+    evictOnError: isTokenError,
+    tags: [accountCacheTag(token)],
+    forceRefresh: fresh
   });
 }
 
-async function fetchAccountData(token) {
-  const userQuery = `query { me { _id username email credit } }`;
-  const projectsQuery = `query {
-    projects {
-      edges {
-        node {
-          _id name
-          region { name }
-          environments { _id }
-          services {
-            _id name status template
-            resourceLimit { cpu memory }
-            domains { domain isGenerated }
-          }
-        }
-      }
-    }
-  }`;
-  const aihubQuery = `query GetAIHubTenant { aihubTenant { balance keys { keyID alias cost } } }`;
+// 清除账号的全部 Zeabur 缓存
+async function invalidateAccountCache(account) {
+  await cache.invalidateTag(accountCacheTag(account.token));
+}
 
-  const [userData, projectsData, aihubData] = await Promise.all([
-    queryZeabur(token, userQuery),
-    queryZeabur(token, projectsQuery),
-    queryZeabur(token, aihubQuery).catch(() => ({ data: { aihubTenant: null } }))
-  ]);
+// 服务状态或项目名称变化后清除项目列表缓存，下一轮轮询获取最新数据
+async function invalidateProjectsCache(account) {
+  await cache.del(accountCacheKey(cache.CACHE_KEYS.PROJECT_LIST, account.token));
+}
 
-  return {
-    user: userData.data?.me || {},
-    projects: (projectsData.data?.projects?.edges || []).map(edge => edge.node),
-    aihub: aihubData.data?.aihubTenant || null
-  };
+async function fetchAccountData(token, fresh = false) {
+  const [{ user, aihub }, projects] = await Promise.all([
+    cachedZeabur(token, accountCacheKey(cache.CACHE_KEYS.ACCOUNT_INFO, token), async () => {
+      const [user, aihub] = await Promise.all([
+        zeabur.getCurrentUser(token),
+        zeabur.getAIHubTenant(token).catch(() => null)
+      ]);
+      return { user, aihub };
+    }, fresh),
+    cachedZeabur(token, accountCacheKey(cache.CACHE_KEYS.PROJECT_LIST, token), () => zeabur.getProjects(token), fresh)
+  ]);
+  return { user, projects, aihub };
 }
 
-async function fetchUsageData(token, userID, projects = []) {
+async function fetchUsageData(token, userID, fresh = false) {
   const now = new Date();
   const year = now.getFullYear();
   const month = now.getMonth() + 1;
@@ -184,59 +357,116 @@ async function fetchUsageData(token, userID, projects = []) {
   tomorrow.setDate(tomorrow.getDate() + 1);
   const toDate = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`;
 
-  const usageQuery = {
-    operationName: 'GetHeaderMonthlyUsage',
-    variables: { from: fromDate, to: toDate, groupByEntity: 'PROJECT', groupByTime: 'DAY', groupByType: 'ALL', userID },
-    query: `query GetHeaderMonthlyUsage($from: String!, $to: String!, $groupByEntity: GroupByEntity, $groupByTime: GroupByTime, $groupByType: GroupByType, $userID: ObjectID!) {
-      usages(from: $from, to: $to, groupByEntity: $groupByEntity, groupByTime: $groupByTime, groupByType: $groupByType, userID: $userID) {
-        categories data { id name groupByEntity usageOfEntity __typename } __typename
-      }
-    }`
+  const usages = await cachedZeabur(token, accountCacheKey(cache.CACHE_KEYS.USER_BALANCE, token, fromDate),
+    () => zeabur.getUsages(token, userID, fromDate, toDate), fresh);
+  const projectCosts = {};
+  let totalUsage = 0;
+
+  usages.forEach(project => {
+    const projectTotal = project.usageOfEntity.reduce((a, b) => a + b, 0);
+    const displayCost = projectTotal > 0 ? Math.ceil(projectTotal * 100) / 100 : 0;
+    projectCosts[project.id] = displayCost;
+    totalUsage += projectTotal;
+  });
+
+  return {
+    projectCosts, totalUsage,
+    freeQuotaRemaining: 5 - totalUsage,
+    freeQuotaLimit: 5
   };
+}
 
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify(usageQuery);
-    const options = {
-      hostname: 'api.zeabur.com', path: '/graphql', method: 'POST',
-      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-      timeout: 10000
-    };
+function formatProjects(projects, projectCosts = {}) {
+  return projects.map(project => ({
+    _id: project._id, name: project.name,
+    region: project.region?.name || 'Unknown',
+    environments: project.environments || [],
+    services: project.services || [],
+    cost: projectCosts[project._id] || 0,
+    hasCostData: (projectCosts[project._id] || 0) > 0
+  }));
+}
 
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => body += chunk);
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(body);
-          const usages = result.data?.usages?.data || [];
-          const projectCosts = {};
-          let totalUsage = 0;
-
-          usages.forEach(project => {
-            const projectTotal = project.usageOfEntity.reduce((a, b) => a + b, 0);
-            const displayCost = projectTotal > 0 ? Math.ceil(projectTotal * 100) / 100 : 0;
-            projectCosts[project.id] = displayCost;
-            totalUsage += projectTotal;
-          });
-
-          resolve({
-            projectCosts, totalUsage,
-            freeQuotaRemaining: 5 - totalUsage,
-            freeQuotaLimit: 5
-          });
-        } catch (e) {
-          reject(new Error('Invalid JSON response'));
-        }
-      });
-    });
+// 用量查询失败时返回 null，不影响账号其余数据
+async function fetchUsageSafely(account, userID, fresh) {
+  try {
+    return await fetchUsageData(account.token, userID, fresh);
+  } catch (e) {
+    console.log(`⚠️ [${account.name}] 获取用量失败:`, e.message);
+    return null;
+  }
+}
 
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
-    req.write(data);
-    req.end();
-  });
+// 用量不可用时页面展示的默认值（不写入用量历史，也不参与额度告警）
+const EMPTY_USAGE = { projectCosts: {}, totalUsage: 0, freeQuotaRemaining: 5, freeQuotaLimit: 5 };
+
+// Token -> Zeabur 用户 ID，用户 ID 已知时用量可以和账号信息合并到同一个批量请求
+const zeaburUserIds = new Map();
+
+/**
+ * 拉取单个账号的完整快照（用户信息、项目、用量）
+ * @param {object} account - 账号
+ * @param {boolean} fresh - 跳过缓存获取最新数据
+ */
+async function collectAccountSnapshot(account, fresh = false) {
+  const fetchedAt = Date.now();
+  try {
+    const knownUserId = zeaburUserIds.get(account.token);
+    const earlyUsage = knownUserId ? fetchUsageSafely(account, knownUserId, fresh) : null;
+    const { user, projects, aihub } = await fetchAccountData(account.token, fresh);
+    zeaburUserIds.set(account.token, user._id);
+
+    const usage = await (knownUserId === user._id ? earlyUsage : fetchUsageSafely(account, user._id, fresh));
+    const usageData = usage || EMPTY_USAGE;
+
+    const creditInCents = Math.round(usageData.freeQuotaRemaining * 100);
+    return {
+      name: account.name, success: true,
+      data: { ...user, credit: creditInCents, accountCredit: user.credit, totalUsage: usageData.totalUsage, freeQuotaLimit: usageData.freeQuotaLimit },
+      aihub,
+      projects: formatProjects(projects, usageData.projectCosts),
+      usage: usage ? { totalUsage: usage.totalUsage, freeQuotaRemaining: usage.freeQuotaRemaining } : null,
+      usageError: !usage,
+      fetchedAt
+    };
+  } catch (error) {
+    return { name: account.name, success: false, error: error.message, errorCode: error.code || null, fetchedAt };
+  }
 }
 
+// ==================== 后台轮询 ====================
+
+poller.configurePoller({
+  getAccounts: loadPollingAccounts,
+  collectSnapshot: account => collectAccountSnapshot(account, true)
+});
+
+// 记录用量历史并更新额度告警状态，用量获取失败时保持上一次的额度状态
+poller.onSnapshot(async (account, snapshot) => {
+  if (!snapshot.success || !snapshot.data?._id || snapshot.usageError) return;
+
+  await db.recordUsage(poller.getAccountKey(account), snapshot.usage.totalUsage);
+  await quotaAlerts.checkQuota(
+    poller.getAccountKey(account),
+    account.name,
+    snapshot.usage.freeQuotaRemaining,
+    snapshot.data.freeQuotaLimit,
+    account.userId
+  );
+});
+
+// 更新 Token 健康状态，Token 失效时发送通知
+poller.onSnapshot(async (account, snapshot) => {
+  const error = snapshot.success ? null : { code: snapshot.errorCode, message: snapshot.error };
+  await tokenHealth.recordTokenCheck(poller.getAccountKey(account), account.name, error, account.userId);
+});
+
+// 检测服务状态变化（停止、崩溃、卡在部署、恢复）
+poller.onSnapshot(async (account, snapshot) => {
+  if (!snapshot.success) return;
+  await serviceMonitor.checkServiceTransitions(poller.getAccountKey(account), account.name, snapshot.projects, account.userId);
+});
+
 // ==================== 密码 API ====================
 
 app.get('/api/check-encryption', (req, res) => {
@@ -252,8 +482,9 @@ app.get('/api/check-password', async (req, res) => {
   res.json({ hasPassword: !!savedPassword });
 });
 
-app.post('/api/set-password', passwordSetLimiter, validatePassword, async (req, res) => {
+app.post('/api/set-password', passwordSetLimiter, auditAction(AUDIT_ACTIONS.SET_PASSWORD), validatePassword, async (req, res) => {
   const { password } = req.body;
+  res.locals.auditUser = ADMIN_USER;
   const savedPassword = await loadAdminPassword();
 
   if (savedPassword) {
@@ -268,8 +499,9 @@ app.post('/api/set-password', passwordSetLimiter, validatePassword, async (req,
   }
 });
 
-app.post('/api/verify-password', loginLimiter, validatePassword, async (req, res) => {
+app.post('/api/verify-password', loginLimiter, auditAction(AUDIT_ACTIONS.LOGIN), validateVerifyPassword, async (req, res) => {
   const { password } = req.body;
+  res.locals.auditUser = ADMIN_USER;
   const savedPassword = await loadAdminPassword();
 
   if (!savedPassword) {
@@ -284,19 +516,281 @@ app.post('/api/verify-password', loginLimiter, validatePassword, async (req, res
       console.log('🔐 密码已升级为哈希存储');
     }
 
-    const sessionToken = await createSession();
+    if (!(await checkLoginSecondFactor(req, res, ADMIN_USER))) return;
+
+    const sessionToken = await createSession(ADMIN_USER.id);
     console.log(`✅ 用户登录成功`);
     res.json({ success: true, sessionToken });
   } else {
     const ip = req.ip || req.connection.remoteAddress;
-    sendWebhook(EVENTS.LOGIN_FAILED, { ip }).catch(() => {});
+    sendNotification(EVENTS.LOGIN_FAILED, { ip }).catch(() => {});
     res.status(401).json({ success: false, error: '密码错误' });
   }
 });
 
-app.post('/api/logout', async (req, res) => {
+// 用户名密码登录：admin 使用管理员密码，其他用户使用各自的密码
+app.post('/api/login', loginLimiter, auditAction(AUDIT_ACTIONS.LOGIN), validateLogin, async (req, res) => {
+  const { username, password } = req.body;
+  const savedPassword = await loadAdminPassword();
+
+  if (!savedPassword) {
+    return res.status(400).json({ success: false, error: '请先设置密码' });
+  }
+
+  let user = null;
+  if (username.toLowerCase() === ADMIN_USER.username) {
+    if (await verifyPassword(password, savedPassword)) {
+      user = ADMIN_USER;
+    }
+  } else {
+    const found = await db.getUser(username);
+    if (found && await verifyPassword(password, found.passwordHash)) {
+      user = { id: found.id, username: found.username, role: found.role };
+    }
+  }
+
+  if (user) {
+    res.locals.auditUser = user;
+    if (!(await checkLoginSecondFactor(req, res, user))) return;
+
+    const sessionToken = await createSession(user.id);
+    console.log(`✅ 用户 ${user.username} 登录成功`);
+    res.json({ success: true, sessionToken, user });
+  } else {
+    const ip = req.ip || req.connection.remoteAddress;
+    sendNotification(EVENTS.LOGIN_FAILED, { ip, username }).catch(() => {});
+    res.status(401).json({ success: false, error: '用户名或密码错误' });
+  }
+});
+
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// ==================== 两步验证 API ====================
+
+app.get('/api/2fa', requireAuth, async (req, res) => {
+  try {
+    const record = await loadTwoFactor(req.user);
+    res.json({
+      enabled: !!record?.enabled,
+      recoveryCodesRemaining: record?.enabled ? record.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: '读取两步验证状态失败: ' + error.message });
+  }
+});
+
+// 生成新的 TOTP 密钥（验证一次验证码后才会启用）
+app.post('/api/2fa/setup', requireAuth, async (req, res) => {
+  if (!(await loadAdminPassword())) {
+    return res.status(400).json({ error: '请先设置密码' });
+  }
+
+  try {
+    const record = await loadTwoFactor(req.user);
+    if (record?.enabled) {
+      return res.status(400).json({ error: '两步验证已启用' });
+    }
+
+    const secret = generateSecret();
+    await saveTwoFactor(req.user, { secret, enabled: false, recoveryCodes: [], lastUsedStep: null });
+
+    const otpauthUri = buildOtpauthUri(secret, req.user.username);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (error) {
+    res.status(500).json({ error: '生成两步验证密钥失败: ' + error.message });
+  }
+});
+
+app.post('/api/2fa/enable', requireAuth, auditAction(AUDIT_ACTIONS.TWO_FACTOR_ENABLE), validateTwoFactorCode, async (req, res) => {
+  try {
+    const record = await loadTwoFactor(req.user);
+    if (!record) {
+      return res.status(400).json({ error: '请先生成两步验证密钥' });
+    }
+    if (record.enabled) {
+      return res.status(400).json({ error: '两步验证已启用' });
+    }
+
+    const step = verifyTotp(record.secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: '验证码错误' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await saveTwoFactor(req.user, {
+      ...record,
+      enabled: true,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date().toISOString()
+    });
+    console.log(`🔐 用户 ${req.user.username} 已启用两步验证`);
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ error: '启用两步验证失败: ' + error.message });
+  }
+});
+
+app.post('/api/2fa/disable', requireAuth, auditAction(AUDIT_ACTIONS.TWO_FACTOR_DISABLE), validateTwoFactorCode, async (req, res) => {
+  try {
+    const record = await loadTwoFactor(req.user);
+    if (!record?.enabled) {
+      return res.status(400).json({ error: '两步验证未启用' });
+    }
+    if (!(await verifySecondFactor(req.user, record, req.body.code))) {
+      return res.status(400).json({ error: '验证码错误' });
+    }
+
+    await db.deleteTwoFactor(twoFactorKey(req.user));
+    console.log(`🔓 用户 ${req.user.username} 已关闭两步验证`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: '关闭两步验证失败: ' + error.message });
+  }
+});
+
+// 重新生成恢复码（旧恢复码全部作废）
+app.post('/api/2fa/recovery-codes', requireAuth, auditAction(AUDIT_ACTIONS.TWO_FACTOR_RECOVERY_CODES), validateTwoFactorCode, async (req, res) => {
+  try {
+    const record = await loadTwoFactor(req.user);
+    if (!record?.enabled) {
+      return res.status(400).json({ error: '两步验证未启用' });
+    }
+    if (!(await verifySecondFactor(req.user, record, req.body.code))) {
+      return res.status(400).json({ error: '验证码错误' });
+    }
+
+    // verifySecondFactor 会更新记录，需要重新读取
+    const current = await loadTwoFactor(req.user);
+    const { codes, hashes } = generateRecoveryCodes();
+    await saveTwoFactor(req.user, { ...current, recoveryCodes: hashes });
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ error: '重新生成恢复码失败: ' + error.message });
+  }
+});
+
+// ==================== 通行密钥 API ====================
+
+// 通行密钥不返回公钥
+const toPasskeyInfo = ({ id, name, backedUp, createdAt, lastUsedAt }) => ({ id, name, backedUp, createdAt, lastUsedAt });
+
+app.get('/api/passkeys', requireAuth, async (req, res) => {
+  try {
+    const list = await db.getPasskeys(req.user.id);
+    res.json(list.map(toPasskeyInfo));
+  } catch (error) {
+    res.status(500).json({ error: '获取通行密钥失败: ' + error.message });
+  }
+});
+
+app.post('/api/passkeys/register/options', requireAuth, async (req, res) => {
+  if (!(await loadAdminPassword())) {
+    return res.status(400).json({ error: '请先设置密码' });
+  }
+
+  try {
+    const existing = await db.getPasskeys(req.user.id);
+    const options = await passkeys.createRegistrationOptions(req, twoFactorKey(req.user), req.user.username, existing);
+    res.json(options);
+  } catch (error) {
+    res.status(500).json({ error: '生成通行密钥注册选项失败: ' + error.message });
+  }
+});
+
+app.post('/api/passkeys/register/verify', requireAuth,
+  auditAction(AUDIT_ACTIONS.PASSKEY_REGISTER, req => ({ name: req.body.name })),
+  validatePasskeyRegistration, async (req, res) => {
+  let credential;
+  try {
+    credential = await passkeys.verifyRegistration(req, twoFactorKey(req.user), req.body.response);
+  } catch (error) {
+    return res.status(400).json({ error: '通行密钥验证失败: ' + error.message });
+  }
+
+  try {
+    if (await db.getPasskey(credential.id)) {
+      return res.status(400).json({ error: '该通行密钥已注册' });
+    }
+
+    const passkey = {
+      ...credential,
+      userId: req.user.id,
+      name: req.body.name || '通行密钥',
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    await db.savePasskey(passkey);
+    console.log(`🔑 用户 ${req.user.username} 已注册通行密钥: ${passkey.name}`);
+    res.json({ success: true, passkey: toPasskeyInfo(passkey) });
+  } catch (error) {
+    res.status(500).json({ error: '保存通行密钥失败: ' + error.message });
+  }
+});
+
+app.delete('/api/passkeys/:id', requireAuth, auditAction(AUDIT_ACTIONS.PASSKEY_DELETE), async (req, res) => {
+  try {
+    const passkey = await db.getPasskey(req.params.id);
+    res.locals.auditTarget = { name: passkey?.userId === req.user.id ? passkey.name : req.params.id };
+    if (await db.deletePasskey(req.params.id, req.user.id)) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: '通行密钥不存在' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: '删除通行密钥失败: ' + error.message });
+  }
+});
+
+// 通行密钥登录：先获取登录选项，再提交浏览器返回的凭据
+app.post('/api/passkeys/login/options', loginLimiter, async (req, res) => {
+  try {
+    res.json(await passkeys.createAuthenticationOptions(req));
+  } catch (error) {
+    res.status(500).json({ error: '生成通行密钥登录选项失败: ' + error.message });
+  }
+});
+
+app.post('/api/passkeys/login/verify', loginLimiter,
+  auditAction(AUDIT_ACTIONS.LOGIN, () => ({ method: 'passkey' })),
+  validatePasskeyResponse, async (req, res) => {
+  if (!(await loadAdminPassword())) {
+    return res.status(400).json({ success: false, error: '请先设置密码' });
+  }
+
+  const passkey = await db.getPasskey(req.body.response.id);
+  const user = passkey && (passkey.userId === null ? ADMIN_USER : await db.getUserById(passkey.userId));
+  if (!user) {
+    return res.status(401).json({ success: false, error: '通行密钥未注册' });
+  }
+  res.locals.auditUser = user;
+  res.locals.auditTarget = { passkey: passkey.name };
+
+  let counter;
+  try {
+    counter = await passkeys.verifyAuthentication(req, req.body.response, passkey);
+  } catch (error) {
+    const ip = req.ip || req.connection.remoteAddress;
+    sendNotification(EVENTS.LOGIN_FAILED, { ip, username: user.username }).catch(() => {});
+    return res.status(401).json({ success: false, error: '通行密钥验证失败: ' + error.message });
+  }
+
+  await db.savePasskey({ ...passkey, counter, lastUsedAt: Date.now() });
+  const sessionToken = await createSession(user.id);
+  console.log(`✅ 用户 ${user.username} 使用通行密钥登录成功`);
+  res.json({ success: true, sessionToken, user: { id: user.id, username: user.username, role: user.role } });
+});
+
+app.post('/api/logout', auditAction(AUDIT_ACTIONS.LOGOUT), async (req, res) => {
   const sessionToken = req.headers['x-session-token'];
   if (sessionToken) {
+    const session = await validateSession(sessionToken);
+    if (session) {
+      res.locals.auditUser = await resolveSessionUser(session);
+    }
     await destroySession(sessionToken);
   }
   res.json({ success: true });
@@ -304,128 +798,242 @@ app.post('/api/logout', async (req, res) => {
 
 // ==================== 账号 API ====================
 
-app.post('/api/temp-accounts', requireAuth, async (req, res) => {
+// 请求中携带 Token 的临时账号（不保存），每个账号只拉取一次完整快照
+// 相同 Token 的并发查询由 zeabur-client 合并，同时进行的请求数受 ZEABUR_API_CONCURRENCY 限制
+function requireTempAccounts(req, res, next) {
   const { accounts } = req.body;
   if (!accounts || !Array.isArray(accounts)) {
     return res.status(400).json({ error: '无效的账号列表' });
   }
+  next();
+}
 
-  const results = await Promise.all(accounts.map(async (account) => {
-    try {
-      const { user, projects, aihub } = await fetchAccountData(account.token);
-      let usageData = { totalUsage: 0, freeQuotaRemaining: 5, freeQuotaLimit: 5 };
+function collectTempSnapshots(accounts) {
+  return Promise.all(accounts.map(account => collectAccountSnapshot(account)));
+}
 
-      if (user._id) {
-        try {
-          usageData = await fetchUsageData(account.token, user._id, projects);
-          // 记录用量历史
-          await db.recordUsage(account.name, usageData.totalUsage);
-          // 额度预警
-          if (usageData.freeQuotaRemaining < QUOTA_WARNING_THRESHOLD) {
-            sendWebhook(EVENTS.QUOTA_WARNING, {
-              accountName: account.name,
-              remaining: usageData.freeQuotaRemaining,
-              threshold: QUOTA_WARNING_THRESHOLD
-            }).catch(() => {});
-          }
-        } catch (e) {
-          console.log(`⚠️ [${account.name}] 获取用量失败:`, e.message);
-        }
-      }
+// 一次返回账号信息和项目（前端刷新时使用，避免分别调用下面两个接口重复拉取）
+app.post('/api/temp-dashboard', requireAuth, requireTempAccounts, async (req, res) => {
+  const snapshots = await collectTempSnapshots(req.body.accounts);
+  res.json(snapshots.map(({ name, success, data, aihub, projects, usage, error }) => (
+    success ? { name, success, data, aihub, projects, usage } : { name, success, error }
+  )));
+});
 
-      const creditInCents = Math.round(usageData.freeQuotaRemaining * 100);
+app.post('/api/temp-accounts', requireAuth, requireTempAccounts, async (req, res) => {
+  const snapshots = await collectTempSnapshots(req.body.accounts);
+  res.json(snapshots.map(({ name, success, data, aihub, error }) => (success ? { name, success, data, aihub } : { name, success, error })));
+});
+
+app.post('/api/temp-projects', requireAuth, requireTempAccounts, async (req, res) => {
+  const snapshots = await collectTempSnapshots(req.body.accounts);
+  res.json(snapshots.map(({ name, success, projects, error }) => (success ? { name, success, projects } : { name, success, error })));
+});
+
+// 从后台轮询快照读取面板数据
+app.get('/api/dashboard', requireAuth, async (req, res) => {
+  try {
+    const accounts = await loadAllAccounts(req.user.id);
+    const snapshots = await db.getSnapshots();
+
+    res.json(accounts.map(account => {
+      const key = poller.getAccountKey(account);
+      const snapshot = snapshots[key] || { name: account.name, success: true, pending: true, projects: [] };
       return {
-        name: account.name, success: true,
-        data: { ...user, credit: creditInCents, totalUsage: usageData.totalUsage, freeQuotaLimit: usageData.freeQuotaLimit },
-        aihub
+        ...snapshot,
+        id: String(account.id),
+        name: account.name,
+        readOnly: isEnvAccount(account.id) || undefined,
+        pollingEnabled: poller.isAccountPollingEnabled(key),
+        tokenHealth: tokenHealth.getTokenHealth(key)
       };
-    } catch (error) {
-      return { name: account.name, success: false, error: error.message };
+    }));
+  } catch (error) {
+    res.status(500).json({ error: '获取面板数据失败: ' + error.message });
+  }
+});
+
+app.post('/api/validate-account', requireAuth, requireRole('operator'), async (req, res) => {
+  const { accountName, apiToken } = req.body;
+  if (!accountName || !apiToken) {
+    return res.status(400).json({ error: '账号名称和 API Token 不能为空' });
+  }
+
+  try {
+    const user = await zeabur.getCurrentUser(apiToken);
+    res.json({ success: true, message: '账号验证成功！', userData: user, accountName });
+  } catch (error) {
+    sendZeaburError(res, 'API Token 验证失败', error);
+  }
+});
+
+app.get('/api/accounts', requireAuth, async (req, res) => {
+  const accounts = await loadAllAccounts(req.user.id);
+  res.json(accounts.map(toPublicAccount));
+});
+
+// 管理员可以通过 ownerId 为其他用户添加账号（只读用户无法自己添加）
+app.post('/api/accounts', requireAuth, auditAction(AUDIT_ACTIONS.ACCOUNT_ADD, req => ({ account: req.body.name, ownerId: req.body.ownerId })),
+  requireRole('operator'), validateAccountCreate, async (req, res) => {
+  const { name, token } = req.body;
+  let ownerId = req.user.id;
+  if (req.body.ownerId !== undefined && req.body.ownerId !== req.user.id) {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: '只有管理员可以为其他用户添加账号' });
     }
-  }));
+    if (!await db.getUserById(req.body.ownerId)) {
+      return res.status(404).json({ error: '用户不存在' });
+    }
+    ownerId = req.body.ownerId;
+  }
+
+  const accounts = await loadAllAccounts(ownerId);
+  if (accounts.some(acc => acc.name === name)) {
+    return res.status(409).json({ error: '账号名称已存在' });
+  }
 
-  res.json(results);
+  let user;
+  try {
+    user = await zeabur.getCurrentUser(token);
+  } catch (error) {
+    return sendZeaburError(res, 'API Token 验证失败', error);
+  }
+
+  try {
+    const saved = await loadServerAccounts(ownerId);
+    if (!await saveServerAccounts([...saved, { name, token, email: user.email }], ownerId)) {
+      return res.status(500).json({ error: '保存失败' });
+    }
+    const account = (await loadServerAccounts(ownerId)).find(acc => acc.name === name);
+    await tokenHealth.recordTokenCheck(poller.getAccountKey(account), name, null, ownerId);
+
+    sendNotification(EVENTS.ACCOUNT_ADDED, { accountName: name, count: saved.length + 1 }, ownerId).catch(() => {});
+    poller.runPoll().catch(() => {});
+    res.json({ success: true, account: toPublicAccount(account) });
+  } catch (error) {
+    res.status(500).json({ error: '保存失败: ' + error.message });
+  }
 });
 
-app.post('/api/temp-projects', requireAuth, async (req, res) => {
-  const { accounts } = req.body;
-  if (!accounts || !Array.isArray(accounts)) {
-    return res.status(400).json({ error: '无效的账号列表' });
+// 修改单个账号：改名、替换 Token、调整顺序（position 为在当前用户账号列表中的位置）
+app.patch('/api/accounts/:accountId', requireAuth,
+  auditAction(AUDIT_ACTIONS.ACCOUNT_UPDATE, req => ({
+    account: req.account?.name ?? req.params.accountId,
+    newName: req.body.name !== req.account?.name ? req.body.name : undefined,
+    tokenReplaced: req.body.token !== undefined ? true : undefined,
+    position: req.body.position
+  })),
+  requireRole('operator'), validateAccountUpdate, loadAccount({ writable: true }), async (req, res) => {
+  const { name, token, position } = req.body;
+  const saved = await loadServerAccounts(req.user.id);
+  const index = saved.findIndex(acc => String(acc.id) === String(req.account.id));
+  const account = { ...saved[index] };
+
+  if (name !== undefined && name !== account.name) {
+    const accounts = await loadAllAccounts(req.user.id);
+    if (accounts.some(acc => acc.name === name)) {
+      return res.status(409).json({ error: '账号名称已存在' });
+    }
+    account.name = name;
   }
 
-  const results = await Promise.all(accounts.map(async (account) => {
+  if (token !== undefined) {
     try {
-      const { user, projects } = await fetchAccountData(account.token);
-      let projectCosts = {};
-
-      if (user._id) {
-        try {
-          const usageData = await fetchUsageData(account.token, user._id, projects);
-          projectCosts = usageData.projectCosts;
-        } catch (e) {}
-      }
-
-      const projectsWithCost = projects.map(project => ({
-        _id: project._id, name: project.name,
-        region: project.region?.name || 'Unknown',
-        environments: project.environments || [],
-        services: project.services || [],
-        cost: projectCosts[project._id] || 0,
-        hasCostData: (projectCosts[project._id] || 0) > 0
-      }));
-
-      return { name: account.name, success: true, projects: projectsWithCost };
+      const user = await zeabur.getCurrentUser(token);
+      account.token = token;
+      account.email = user.email;
     } catch (error) {
-      return { name: account.name, success: false, error: error.message };
+      return sendZeaburError(res, 'API Token 验证失败', error);
     }
-  }));
+  }
 
-  res.json(results);
-});
+  saved.splice(index, 1);
+  const target = position === undefined ? index : Math.min(position, saved.length);
+  saved.splice(target, 0, account);
 
-app.post('/api/validate-account', requireAuth, async (req, res) => {
-  const { accountName, apiToken } = req.body;
-  if (!accountName || !apiToken) {
-    return res.status(400).json({ error: '账号名称和 API Token 不能为空' });
+  try {
+    if (!await saveServerAccounts(saved, req.user.id)) {
+      return res.status(500).json({ error: '保存失败' });
+    }
+    if (account.name !== req.account.name) {
+      await moveAccountState(req.account, account);
+    }
+    if (token !== undefined) {
+      await tokenHealth.recordTokenCheck(poller.getAccountKey(account), account.name, null, req.user.id);
+      await invalidateAccountCache(req.account);
+    }
+    if (account.name !== req.account.name || token !== undefined) {
+      poller.runPoll().catch(() => {});
+    }
+    res.json({ success: true, account: toPublicAccount(account) });
+  } catch (error) {
+    res.status(500).json({ error: '保存失败: ' + error.message });
   }
+});
 
+app.delete('/api/accounts/:accountId', requireAuth,
+  auditAction(AUDIT_ACTIONS.ACCOUNT_DELETE, req => ({ account: req.account?.name ?? req.params.accountId })),
+  requireRole('operator'), loadAccount({ writable: true }), async (req, res) => {
   try {
-    const { user } = await fetchAccountData(apiToken);
-    if (user._id) {
-      res.json({ success: true, message: '账号验证成功！', userData: user, accountName, apiToken });
-    } else {
-      res.status(400).json({ error: 'API Token 无效或没有权限' });
+    const saved = await loadServerAccounts(req.user.id);
+    if (!await saveServerAccounts(saved.filter(acc => String(acc.id) !== String(req.account.id)), req.user.id)) {
+      return res.status(500).json({ error: '删除失败' });
     }
+
+    sendNotification(EVENTS.ACCOUNT_REMOVED, { accountName: req.account.name }, req.user.id).catch(() => {});
+    forgetAccountState(req.account);
+    invalidateAccountCache(req.account).catch(() => {});
+    res.json({ success: true, message: '账号已删除' });
   } catch (error) {
-    res.status(400).json({ error: 'API Token 验证失败: ' + error.message });
+    res.status(500).json({ error: '删除失败: ' + error.message });
   }
 });
 
+// 兼容旧版本：整体提交账号列表、按索引删除账号
 app.get('/api/server-accounts', requireAuth, async (req, res) => {
-  const serverAccounts = await loadServerAccounts();
-  const envAccounts = getEnvAccounts();
-  const allAccounts = [...envAccounts, ...serverAccounts];
-  res.json(allAccounts);
+  const accounts = await loadAllAccounts(req.user.id);
+  res.json(accounts.map(toPublicAccount));
 });
 
-app.post('/api/server-accounts', requireAuth, validateAccounts, async (req, res) => {
-  const { accounts } = req.body;
-  if (await saveServerAccounts(accounts)) {
-    sendWebhook(EVENTS.ACCOUNT_ADDED, { count: accounts.length }).catch(() => {});
+app.post('/api/server-accounts', requireAuth, auditAction(AUDIT_ACTIONS.ACCOUNT_ADD), requireRole('operator'), validateAccounts, async (req, res) => {
+  const saved = await loadServerAccounts(req.user.id);
+  const savedById = new Map(saved.map(acc => [String(acc.id), acc]));
+
+  // 已有账号只需提交 id，Token 沿用服务器保存的值；环境变量中的账号不保存
+  const accounts = [];
+  for (const { id, name, token, email } of req.body.accounts) {
+    if (String(id).startsWith('env:')) continue;
+    const existing = id !== undefined ? savedById.get(String(id)) : null;
+    if (id !== undefined && !existing) {
+      return res.status(404).json({ error: `账号 [${name}] 不存在` });
+    }
+    accounts.push({ id: existing?.id, name, token: token || existing.token, email });
+  }
+
+  const existingNames = new Set(saved.map(acc => acc.name));
+  const added = accounts.filter(acc => !existingNames.has(acc.name)).map(acc => acc.name);
+  res.locals.auditTarget = { account: added.join(', ') || undefined, count: accounts.length };
+
+  if (await saveServerAccounts(accounts, req.user.id)) {
+    sendNotification(EVENTS.ACCOUNT_ADDED, { count: accounts.length }, req.user.id).catch(() => {});
+    poller.runPoll().catch(() => {});
     res.json({ success: true, message: '账号已保存到服务器' });
   } else {
     res.status(500).json({ error: '保存失败' });
   }
 });
 
-app.delete('/api/server-accounts/:index', requireAuth, validateIndex, async (req, res) => {
+app.delete('/api/server-accounts/:index', requireAuth, auditAction(AUDIT_ACTIONS.ACCOUNT_DELETE), requireRole('operator'), validateIndex, async (req, res) => {
   const index = parseInt(req.params.index);
-  const accounts = await loadServerAccounts();
+  const accounts = await loadServerAccounts(req.user.id);
 
   if (index >= 0 && index < accounts.length) {
     const removed = accounts.splice(index, 1);
-    if (await saveServerAccounts(accounts)) {
-      sendWebhook(EVENTS.ACCOUNT_REMOVED, { accountName: removed[0].name }).catch(() => {});
+    res.locals.auditTarget = { account: removed[0].name };
+    if (await saveServerAccounts(accounts, req.user.id)) {
+      sendNotification(EVENTS.ACCOUNT_REMOVED, { accountName: removed[0].name }, req.user.id).catch(() => {});
+      forgetAccountState(removed[0]);
+      invalidateAccountCache(removed[0]).catch(() => {});
       res.json({ success: true, message: '账号已删除' });
     } else {
       res.status(500).json({ error: '删除失败' });
@@ -435,79 +1043,78 @@ app.delete('/api/server-accounts/:index', requireAuth, validateIndex, async (req
   }
 });
 
+// ==================== 后台轮询 API ====================
+
+app.post('/api/poller/run', requireAuth, requireRole('operator'), async (req, res) => {
+  const stats = await poller.runPoll();
+  res.json({ success: true, ...stats });
+});
+
+app.put('/api/poller/accounts/:accountId', requireAuth,
+  auditAction(AUDIT_ACTIONS.ACCOUNT_POLLING, req => ({ account: req.account?.name ?? req.params.accountId, enabled: req.body.enabled })),
+  requireRole('operator'), validatePollerAccount, loadAccount(), async (req, res) => {
+  await poller.setAccountPolling(poller.getAccountKey(req.account), req.body.enabled);
+  res.json({ success: true, enabled: req.body.enabled });
+});
+
 // ==================== 服务操作 API ====================
 
-app.post('/api/service/pause', requireAuth, validateServiceAction, async (req, res) => {
-  const { token, serviceId, environmentId } = req.body;
+app.post('/api/service/pause', requireAuth, auditAction(AUDIT_ACTIONS.SERVICE_PAUSE, describeServiceTarget), requireRole('operator'), validateServiceAction, loadAccount(), async (req, res) => {
+  const { serviceId, environmentId } = req.body;
+  const { token } = req.account;
   try {
-    const mutation = `mutation { suspendService(serviceID: "${serviceId}", environmentID: "${environmentId}") }`;
-    const result = await queryZeabur(token, mutation);
-    if (result.data?.suspendService) {
+    if (await zeabur.suspendService(token, serviceId, environmentId)) {
+      await invalidateProjectsCache(req.account);
       res.json({ success: true, message: '服务已暂停' });
     } else {
-      res.status(400).json({ error: '暂停失败', details: result });
+      res.status(400).json({ error: '暂停失败' });
     }
   } catch (error) {
-    res.status(500).json({ error: '暂停服务失败: ' + error.message });
+    sendZeaburError(res, '暂停服务失败', error);
   }
 });
 
-app.post('/api/service/restart', requireAuth, validateServiceAction, async (req, res) => {
-  const { token, serviceId, environmentId } = req.body;
+app.post('/api/service/restart', requireAuth, auditAction(AUDIT_ACTIONS.SERVICE_RESTART, describeServiceTarget), requireRole('operator'), validateServiceAction, loadAccount(), async (req, res) => {
+  const { serviceId, environmentId } = req.body;
+  const { token } = req.account;
   try {
-    const mutation = `mutation { restartService(serviceID: "${serviceId}", environmentID: "${environmentId}") }`;
-    const result = await queryZeabur(token, mutation);
-    if (result.data?.restartService) {
+    if (await zeabur.restartService(token, serviceId, environmentId)) {
+      await invalidateProjectsCache(req.account);
       res.json({ success: true, message: '服务已重启' });
     } else {
-      res.status(400).json({ error: '重启失败', details: result });
+      res.status(400).json({ error: '重启失败' });
     }
   } catch (error) {
-    res.status(500).json({ error: '重启服务失败: ' + error.message });
+    sendZeaburError(res, '重启服务失败', error);
   }
 });
 
-app.post('/api/service/logs', requireAuth, validateLogsQuery, async (req, res) => {
-  const { token, serviceId, environmentId, projectId, limit = 200 } = req.body;
+app.post('/api/service/logs', requireAuth, requireRole('operator'), validateLogsQuery, loadAccount(), async (req, res) => {
+  const { serviceId, environmentId, projectId, limit = 200 } = req.body;
+  const { token } = req.account;
   try {
-    const query = `query {
-      runtimeLogs(projectID: "${projectId}", serviceID: "${serviceId}", environmentID: "${environmentId}") {
-        message timestamp
-      }
-    }`;
-    const result = await queryZeabur(token, query);
-
-    if (result.data?.runtimeLogs) {
-      const sortedLogs = result.data.runtimeLogs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      const logs = sortedLogs.slice(-limit);
-      res.json({ success: true, logs, count: logs.length, totalCount: result.data.runtimeLogs.length });
-    } else {
-      res.status(400).json({ error: '获取日志失败', details: result });
-    }
+    const runtimeLogs = await zeabur.getRuntimeLogs(token, projectId, serviceId, environmentId);
+    const sortedLogs = [...runtimeLogs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const logs = sortedLogs.slice(-limit);
+    res.json({ success: true, logs, count: logs.length, totalCount: runtimeLogs.length });
   } catch (error) {
-    res.status(500).json({ error: '获取日志失败: ' + error.message });
+    sendZeaburError(res, '获取日志失败', error);
   }
 });
 
-app.post('/api/project/rename', requireAuth, validateRename, async (req, res) => {
-  const { accountId, projectId, newName } = req.body;
+app.post('/api/project/rename', requireAuth,
+  auditAction(AUDIT_ACTIONS.PROJECT_RENAME, async req => ({ ...await describeServiceTarget(req), newName: req.body.newName })),
+  requireRole('operator'), validateRename, loadAccount(), async (req, res) => {
+  const { projectId, newName } = req.body;
   try {
-    const serverAccounts = await loadServerAccounts();
-    const account = serverAccounts.find(acc => (acc.id || acc.name) === accountId);
-    if (!account || !account.token) {
-      return res.status(404).json({ error: '未找到账号或token' });
-    }
-
-    const mutation = `mutation { renameProject(_id: "${projectId}", name: "${newName}") }`;
-    const result = await queryZeabur(account.token, mutation);
-
-    if (result.data?.renameProject) {
+    if (await zeabur.renameProject(req.account.token, projectId, newName)) {
+      await invalidateProjectsCache(req.account);
       res.json({ success: true, message: '项目已重命名' });
     } else {
-      res.status(400).json({ error: '重命名失败', details: result });
+      res.status(400).json({ error: '重命名失败' });
     }
   } catch (error) {
-    res.status(500).json({ error: '重命名项目失败: ' + error.message });
+    sendZeaburError(res, '重命名项目失败', error);
   }
 });
 
@@ -516,8 +1123,18 @@ app.post('/api/project/rename', requireAuth, validateRename, async (req, res) =>
 app.get('/api/usage-history', requireAuth, async (req, res) => {
   const { account, days = 30 } = req.query;
   try {
-    const history = await db.getUsageHistory(account, parseInt(days));
-    res.json({ success: true, data: history });
+    // 用量历史按账号标识记录，只返回当前用户的账号
+    const accounts = await loadAllAccounts(req.user.id);
+    const names = new Map(accounts
+      .filter(acc => !account || acc.name === account)
+      .map(acc => [poller.getAccountKey(acc), acc.name]));
+    const history = await db.getUsageHistory(null, parseInt(days));
+    res.json({
+      success: true,
+      data: history
+        .filter(h => names.has(h.accountName))
+        .map(h => ({ ...h, accountName: names.get(h.accountName) }))
+    });
   } catch (error) {
     res.status(500).json({ error: '获取用量历史失败: ' + error.message });
   }
@@ -525,55 +1142,207 @@ app.get('/api/usage-history', requireAuth, async (req, res) => {
 
 // ==================== Webhook API ====================
 
+const MASKED_SECRET = '******';
+
+const maskWebhook = (webhook) => ({ ...webhook, secret: webhook.secret ? MASKED_SECRET : null });
+
+/**
+ * 加载要修改的 Webhook
+ * PATCH 请求将请求体与已保存的配置合并，合并结果与 PUT 使用同一套验证规则
+ */
+function loadWebhook({ merge = false } = {}) {
+  return async (req, res, next) => {
+    const webhooks = await db.getWebhooks(req.user.id);
+    const existing = webhooks.find(w => w.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook 不存在' });
+    }
+
+    req.webhook = existing;
+    if (merge) {
+      const { url, name, secret, events, type, options, enabled } = existing;
+      req.body = { url, name, secret, events, type, options, enabled, ...req.body };
+    }
+    next();
+  };
+}
+
+// 审计日志中的 Webhook 目标（不记录 URL，推送地址中可能包含密钥）
+const webhookTarget = req => ({ webhook: req.params.id || req.body.id, name: req.webhook?.name ?? req.body.name });
+
+async function updateWebhook(req, res) {
+  const existing = req.webhook;
+  const {
+    url, name = null, secret, events = null, type = detectChannelType(url), options = {}, enabled = existing.enabled !== false
+  } = req.body;
+
+  const webhook = {
+    ...existing,
+    url,
+    name,
+    // 前端拿到的是掩码，未修改时保留原密钥
+    secret: secret === MASKED_SECRET || secret === undefined ? existing.secret : secret || null,
+    events,
+    type,
+    options,
+    enabled
+  };
+
+  try {
+    await db.saveWebhook(webhook);
+    await reloadWebhookConfigs();
+    res.json({ success: true, webhook: maskWebhook(webhook) });
+  } catch (error) {
+    res.status(500).json({ error: '保存 Webhook 失败: ' + error.message });
+  }
+}
+
 app.get('/api/webhooks', requireAuth, async (req, res) => {
-  const webhooks = await db.getWebhooks();
-  res.json(webhooks.map(w => ({ ...w, secret: w.secret ? '******' : null })));
+  const webhooks = await db.getWebhooks(req.user.id);
+  res.json(webhooks.map(maskWebhook));
 });
 
-app.post('/api/webhooks', requireAuth, validateWebhook, async (req, res) => {
-  const { url, name, secret, events } = req.body;
+// 通知渠道类型与可订阅事件（供前端表单使用）
+app.get('/api/webhooks/meta', requireAuth, (req, res) => {
+  res.json({
+    types: CHANNEL_TYPES,
+    events: Object.values(EVENTS).map(id => ({ id, title: EVENT_META[id].title }))
+  });
+});
+
+app.post('/api/webhooks', requireAuth, auditAction(AUDIT_ACTIONS.WEBHOOK_CREATE, webhookTarget), requireRole('operator'), validateWebhook, async (req, res) => {
+  const { url, name, secret, events, type = detectChannelType(url), options = {}, enabled = true } = req.body;
   const crypto = require('crypto');
   const id = crypto.randomBytes(8).toString('hex');
-  const webhook = { id, url, name, secret, events, enabled: true, createdAt: Date.now() };
+  res.locals.auditTarget = { webhook: id };
+  const webhook = { id, userId: req.user.id, url, name, secret, events, type, options, enabled, createdAt: Date.now() };
 
   if (await db.saveWebhook(webhook)) {
     // 更新内存中的 webhook 配置
-    const webhooks = await db.getWebhooks();
-    setWebhookConfigs(webhooks);
+    await reloadWebhookConfigs();
     res.json({ success: true, id });
   } else {
     res.status(500).json({ error: '保存 Webhook 失败' });
   }
 });
 
-app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
+// PUT 整体替换配置，PATCH 只修改请求中包含的字段
+app.put('/api/webhooks/:id', requireAuth, auditAction(AUDIT_ACTIONS.WEBHOOK_UPDATE, webhookTarget), requireRole('operator'), loadWebhook(), validateWebhook, updateWebhook);
+app.patch('/api/webhooks/:id', requireAuth, auditAction(AUDIT_ACTIONS.WEBHOOK_UPDATE, webhookTarget), requireRole('operator'), loadWebhook({ merge: true }), validateWebhook, updateWebhook);
+
+app.delete('/api/webhooks/:id', requireAuth, auditAction(AUDIT_ACTIONS.WEBHOOK_DELETE, webhookTarget), requireRole('operator'), loadWebhook(), async (req, res) => {
   if (await db.deleteWebhook(req.params.id)) {
-    const webhooks = await db.getWebhooks();
-    setWebhookConfigs(webhooks);
+    await reloadWebhookConfigs();
     res.json({ success: true });
   } else {
     res.status(404).json({ error: 'Webhook 不存在' });
   }
 });
 
-app.post('/api/webhooks/test', requireAuth, async (req, res) => {
-  const { url, secret } = req.body;
-  const result = await testWebhook(url, secret);
+app.post('/api/webhooks/test', requireAuth, auditAction(AUDIT_ACTIONS.WEBHOOK_TEST, webhookTarget), requireRole('operator'), validateWebhook, async (req, res) => {
+  const { id, url, type = detectChannelType(url), options = {} } = req.body;
+  let { secret } = req.body;
+  // 测试已保存的 Webhook 时，掩码密钥替换为实际密钥
+  if (id && secret === MASKED_SECRET) {
+    const webhooks = await db.getWebhooks(req.user.id);
+    secret = webhooks.find(w => w.id === id)?.secret;
+  }
+  const result = await testWebhook({ url, secret, type, options });
+  res.json(result);
+});
+
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireRole('operator'), loadWebhook(), validateDeliveriesQuery, async (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  try {
+    const deliveries = await db.getWebhookDeliveries(req.params.id, limit);
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    res.status(500).json({ error: '获取投递记录失败: ' + error.message });
+  }
+});
+
+app.post('/api/webhooks/deliveries/:id/redeliver', requireAuth,
+  auditAction(AUDIT_ACTIONS.WEBHOOK_REDELIVER, req => ({ delivery: req.params.id })),
+  requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = await redeliverWebhook(req.params.id, req.user.id);
+    if (!delivery) {
+      return res.status(404).json({ error: '投递记录或 Webhook 不存在，或 Webhook 已禁用' });
+    }
+    res.json({ success: delivery.status === 'success', delivery });
+  } catch (error) {
+    res.status(500).json({ error: '重新投递失败: ' + error.message });
+  }
+});
+
+// ==================== 邮件通知 API ====================
+
+/**
+ * 从请求体构建 SMTP 配置，密码未修改（为空或掩码）时沿用已保存的密码
+ */
+function buildEmailConfig(body) {
+  const { host, port, security = 'starttls', username, password, from, to, events, enabled = true } = body;
+  const saved = getEmailConfig();
+  const keepPassword = !password || password === MASKED_SECRET;
+
+  return {
+    host,
+    port,
+    security,
+    username: username || null,
+    password: username ? (keepPassword ? saved?.password || null : password) : null,
+    from,
+    to,
+    events: events || null,
+    enabled
+  };
+}
+
+app.get('/api/notifications/email', requireAuth, requireRole('admin'), (req, res) => {
+  const config = getEmailConfig();
+  if (!config) {
+    return res.json({ configured: false });
+  }
+  res.json({ configured: true, ...config, password: config.password ? MASKED_SECRET : null });
+});
+
+app.put('/api/notifications/email', requireAuth, auditAction(AUDIT_ACTIONS.EMAIL_UPDATE), requireRole('admin'), validateEmailConfig, async (req, res) => {
+  const config = buildEmailConfig(req.body);
+
+  if (await db.saveEmailConfig(config, ENCRYPTION_ENABLED, encryptData, ACCOUNTS_SECRET)) {
+    setEmailConfig(config);
+    res.json({ success: true });
+  } else {
+    res.status(500).json({ error: '保存邮件配置失败' });
+  }
+});
+
+app.delete('/api/notifications/email', requireAuth, auditAction(AUDIT_ACTIONS.EMAIL_DELETE), requireRole('admin'), async (req, res) => {
+  if (await db.deleteEmailConfig()) {
+    setEmailConfig(null);
+    res.json({ success: true });
+  } else {
+    res.status(500).json({ error: '删除邮件配置失败' });
+  }
+});
+
+app.post('/api/notifications/email/test', requireAuth, requireRole('admin'), validateEmailConfig, async (req, res) => {
+  const result = await testEmail(buildEmailConfig(req.body));
   res.json(result);
 });
 
 // ==================== 多用户 API ====================
 
-app.get('/api/users', requireAuth, async (req, res) => {
+app.get('/api/users', requireAuth, requireRole('admin'), async (req, res) => {
   const users = await db.getUsers();
-  res.json(users);
+  const twoFactorKeys = new Set(await db.getTwoFactorUserKeys());
+  res.json(users.map(user => ({ ...user, twoFactorEnabled: twoFactorKeys.has(String(user.id)) })));
 });
 
-app.post('/api/users', requireAuth, async (req, res) => {
-  const { username, password, role = 'user' } = req.body;
-  if (!username || !password) {
-    return res.status(400).json({ error: '用户名和密码不能为空' });
-  }
+app.post('/api/users', requireAuth,
+  auditAction(AUDIT_ACTIONS.USER_CREATE, req => ({ user: req.body.username, role: req.body.role || 'viewer' })),
+  requireRole('admin'), validateUser, async (req, res) => {
+  const { username, password, role = 'viewer' } = req.body;
 
   try {
     const passwordHash = await hashPassword(password);
@@ -584,8 +1353,22 @@ app.post('/api/users', requireAuth, async (req, res) => {
   }
 });
 
-app.delete('/api/users/:id', requireAuth, async (req, res) => {
+app.patch('/api/users/:id', requireAuth,
+  auditAction(AUDIT_ACTIONS.USER_UPDATE, async req => ({
+    user: (await db.getUserById(parseInt(req.params.id)))?.username || req.params.id,
+    role: req.body.role
+  })),
+  requireRole('admin'), validateUserRole, async (req, res) => {
+  if (await db.updateUserRole(parseInt(req.params.id), req.body.role)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: '用户不存在' });
+  }
+});
+
+app.delete('/api/users/:id', requireAuth, auditAction(AUDIT_ACTIONS.USER_DELETE), requireRole('admin'), async (req, res) => {
   const userId = parseInt(req.params.id);
+  res.locals.auditTarget = { user: (await db.getUserById(userId))?.username || req.params.id };
   if (await db.deleteUser(userId)) {
     res.json({ success: true });
   } else {
@@ -593,9 +1376,46 @@ app.delete('/api/users/:id', requireAuth, async (req, res) => {
   }
 });
 
+// 重置用户的两步验证（用户丢失验证器和恢复码时使用）
+app.delete('/api/users/:id/2fa', requireAuth, auditAction(AUDIT_ACTIONS.USER_TWO_FACTOR_RESET), requireRole('admin'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const user = await db.getUserById(userId);
+  res.locals.auditTarget = { user: user?.username || req.params.id };
+  if (!user) {
+    return res.status(404).json({ error: '用户不存在' });
+  }
+
+  if (await db.deleteTwoFactor(String(userId))) {
+    console.log(`🔓 管理员已重置用户 ${user.username} 的两步验证`);
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: '该用户未启用两步验证' });
+  }
+});
+
+// ==================== 审计日志 API ====================
+
+app.get('/api/audit', requireAuth, requireRole('admin'), validateAuditQuery, async (req, res) => {
+  const { action, username, result, account, since, until } = req.query;
+  try {
+    const logs = await db.getAuditLogs({
+      action,
+      username,
+      result,
+      account,
+      since: since ? new Date(since).getTime() : null,
+      until: until ? new Date(until).getTime() : null,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ success: true, ...logs });
+  } catch (error) {
+    res.status(500).json({ error: '获取审计日志失败: ' + error.message });
+  }
+});
+
 // ==================== 兼容旧版本 ====================
 
-app.get('/api/accounts', async (req, res) => res.json([]));
 app.get('/api/projects', async (req, res) => res.json([]));
 
 // ==================== 版本信息 ====================
@@ -646,7 +1466,9 @@ app.get('/api/status', requireAuth, async (req, res) => {
     cache: {
       backend: cacheStats.backend,
       redisKeys: cacheStats.redisKeys || 0,
-      memoryKeys: cacheStats.memorySize
+      memoryKeys: cacheStats.memorySize,
+      memoryBytes: cacheStats.memoryBytes,
+      evictions: cacheStats.evictions
     },
     redis: {
       enabled: redisInfo.enabled,
@@ -654,30 +1476,72 @@ app.get('/api/status', requireAuth, async (req, res) => {
     },
     encryption: ENCRYPTION_ENABLED,
     activeSessions: await getActiveSessionCount(),
-    quotaWarningThreshold: QUOTA_WARNING_THRESHOLD
+    quotaWarningThreshold: quotaAlerts.getQuotaAlertConfig().threshold,
+    quotaAlerts: quotaAlerts.getQuotaAlertConfig(),
+    poller: poller.getPollerStatus(),
+    zeaburApi: zeabur.getClientStats()
   });
 });
 
 // 缓存管理 API
-app.delete('/api/cache', requireAuth, async (req, res) => {
+app.delete('/api/cache', requireAuth, auditAction(AUDIT_ACTIONS.CACHE_CLEAR), requireRole('admin'), async (req, res) => {
   await cache.flush();
   res.json({ success: true, message: '缓存已清空' });
 });
 
-app.get('/api/cache/stats', requireAuth, async (req, res) => {
+app.get('/api/cache/stats', requireAuth, requireRole('admin'), async (req, res) => {
   const stats = await cache.getStats();
   res.json(stats);
 });
 
+// ==================== Prometheus 指标 ====================
+
+// 设置后 /metrics 需要 Authorization: Bearer <METRICS_TOKEN>
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+function requireMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) return next();
+
+  const crypto = require('crypto');
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(METRICS_TOKEN);
+  if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+    return next();
+  }
+  res.status(401).type('text/plain').send('unauthorized\n');
+}
+
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+  const { getActiveSessionCount } = require('./session-store');
+  try {
+    const text = renderMetrics({
+      snapshots: await db.getSnapshots(),
+      cacheStats: await cache.getStats(),
+      clientStats: zeabur.getClientStats(),
+      activeSessions: await getActiveSessionCount()
+    });
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(text);
+  } catch (error) {
+    console.error('❌ 生成 Prometheus 指标失败:', error.message);
+    res.status(500).type('text/plain').send(`# ${error.message}\n`);
+  }
+});
+
 // ==================== 启动服务器 ====================
 
 async function startServer() {
   await db.initDatabase();
   await initSessionStore();
+  await serviceMonitor.initServiceMonitor();
+  await quotaAlerts.initQuotaAlerts();
+  await tokenHealth.initTokenHealth();
 
   // 加载 Webhook 配置
-  const webhooks = await db.getWebhooks();
-  setWebhookConfigs(webhooks);
+  const webhooks = await reloadWebhookConfigs();
+
+  // 加载邮件通知配置
+  const emailConfig = await db.loadEmailConfig(ENCRYPTION_ENABLED, decryptData, ACCOUNTS_SECRET);
+  setEmailConfig(emailConfig);
 
   app.listen(PORT, '0.0.0.0', async () => {
     const redisInfo = getRedisInfo();
@@ -691,9 +1555,11 @@ async function startServer() {
     }
     console.log(`🔐 Token 加密: ${ENCRYPTION_ENABLED ? '已启用' : '未启用'}`);
     console.log(`🔔 Webhook: ${webhooks.length} 个配置`);
+    console.log(`📧 邮件通知: ${emailConfig ? `${emailConfig.host}:${emailConfig.port}` : '未配置'}`);
+    console.log(`📈 Prometheus 指标: /metrics${METRICS_TOKEN ? '（需要 METRICS_TOKEN）' : '（未设置 METRICS_TOKEN，无需认证）'}`);
 
     const envAccounts = getEnvAccounts();
-    const serverAccounts = await loadServerAccounts();
+    const serverAccounts = await loadServerAccounts(db.ALL_USERS);
     const totalAccounts = envAccounts.length + serverAccounts.length;
 
     if (totalAccounts > 0) {
@@ -701,6 +1567,11 @@ async function startServer() {
     } else {
       console.log(`📊 准备就绪，等待添加账号...`);
     }
+
+    if (await poller.startPoller()) {
+      const { interval, jitter } = poller.getPollerStatus();
+      console.log(`⏱️ 后台轮询: 每 ${interval}s（抖动 ${jitter}s）`);
+    }
   });
 }
 
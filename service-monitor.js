@@ -0,0 +1,153 @@
+/**
+ * 服务状态监控模块
+ * 记录每个服务最后一次已知状态，在状态变化时发送停止、错误、恢复通知
+ */
+
+const db = require('./db');
+const { notifyServiceDown, notifyServiceError, notifyServiceRecovered } = require('./notifications');
+
+// 部署超过该时长视为卡住（分钟）
+const DEPLOY_STUCK_MINUTES = parseInt(process.env.DEPLOY_STUCK_MINUTES, 10) || 15;
+
+const SERVICE_STATUS_STATE = 'service_status';
+
+// 状态分类
+const STATUS_GROUPS = {
+  healthy: ['RUNNING'],
+  down: ['SUSPENDED', 'STOPPED', 'REMOVED'],
+  error: ['CRASHED', 'FAILED', 'ERROR', 'BACKOFF'],
+  deploying: ['DEPLOYING', 'BUILDING', 'PENDING', 'STARTING', 'RESTARTING']
+};
+
+// { 'accountKey/projectId/serviceId': { status, since, failingSince, stuckNotified } }
+let serviceStates = {};
+
+/**
+ * 获取状态分类
+ * @param {string} status - Zeabur 服务状态
+ * @returns {string} healthy | down | error | deploying | unknown
+ */
+function classifyStatus(status) {
+  const normalized = String(status || '').toUpperCase();
+  for (const [group, statuses] of Object.entries(STATUS_GROUPS)) {
+    if (statuses.includes(normalized)) return group;
+  }
+  return 'unknown';
+}
+
+/**
+ * 加载持久化的服务状态
+ */
+async function initServiceMonitor() {
+  serviceStates = await db.getState(SERVICE_STATUS_STATE, {});
+}
+
+/**
+ * 对比服务状态并发送通知
+ * @param {string} accountKey - 账号标识
+ * @param {string} accountName - 账号名称
+ * @param {Array} projects - 项目列表（包含 services）
+ * @param {number|null} userId - 账号所属用户 ID（通知只发送给该用户）
+ * @returns {Promise<Array>} 本次触发的状态变化
+ */
+async function checkServiceTransitions(accountKey, accountName, projects, userId = null) {
+  const now = Date.now();
+  const seen = new Set();
+  const transitions = [];
+  let changed = false;
+
+  for (const project of projects) {
+    for (const service of project.services || []) {
+      const key = `${accountKey}/${project._id}/${service._id}`;
+      const group = classifyStatus(service.status);
+      const previous = serviceStates[key];
+      seen.add(key);
+
+      // 首次发现：只记录基线，不发送通知
+      if (!previous) {
+        serviceStates[key] = {
+          status: service.status,
+          since: now,
+          failingSince: group === 'down' || group === 'error' ? now : null,
+          stuckNotified: false
+        };
+        changed = true;
+        continue;
+      }
+
+      const previousGroup = classifyStatus(previous.status);
+      const sameGroup = group === previousGroup;
+      // since 记录进入当前状态分类的时间，DEPLOYING → BUILDING 不会重置部署计时
+      const next = {
+        status: service.status,
+        since: sameGroup ? previous.since : now,
+        failingSince: previous.failingSince || null,
+        stuckNotified: sameGroup ? previous.stuckNotified : false
+      };
+      const info = { accountName, projectName: project.name, serviceName: service.name, status: service.status };
+
+      if (group === 'down' && previousGroup !== 'down') {
+        next.failingSince = next.failingSince || now;
+        transitions.push({ type: 'down', ...info });
+        notifyServiceDown(accountName, service.name, project.name, service.status, userId).catch(() => {});
+      } else if (group === 'error' && previousGroup !== 'error') {
+        next.failingSince = next.failingSince || now;
+        transitions.push({ type: 'error', ...info });
+        notifyServiceError(accountName, service.name, project.name, service.status, undefined, userId).catch(() => {});
+      } else if (group === 'deploying' && !next.stuckNotified &&
+                 now - next.since > DEPLOY_STUCK_MINUTES * 60 * 1000) {
+        // 部署卡住（每次卡住只通知一次）
+        next.stuckNotified = true;
+        next.failingSince = next.failingSince || next.since;
+        transitions.push({ type: 'stuck', ...info });
+        notifyServiceError(accountName, service.name, project.name, service.status,
+          `部署已持续超过 ${DEPLOY_STUCK_MINUTES} 分钟`, userId).catch(() => {});
+      } else if (group === 'healthy' && next.failingSince) {
+        const downtime = now - next.failingSince;
+        next.failingSince = null;
+        transitions.push({ type: 'recovered', ...info, downtime });
+        notifyServiceRecovered(accountName, service.name, project.name, previous.status, downtime, userId).catch(() => {});
+      }
+
+      if (JSON.stringify(next) !== JSON.stringify(previous)) {
+        serviceStates[key] = next;
+        changed = true;
+      }
+    }
+  }
+
+  // 清理已删除的服务
+  for (const key of Object.keys(serviceStates)) {
+    if (key.startsWith(accountKey + '/') && !seen.has(key)) {
+      delete serviceStates[key];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await db.setState(SERVICE_STATUS_STATE, serviceStates);
+  }
+
+  return transitions;
+}
+
+/**
+ * 移除账号的所有服务状态（账号删除时调用）
+ * @param {string} accountKey - 账号标识
+ */
+async function forgetAccount(accountKey) {
+  for (const key of Object.keys(serviceStates)) {
+    if (key.startsWith(accountKey + '/')) {
+      delete serviceStates[key];
+    }
+  }
+  await db.setState(SERVICE_STATUS_STATE, serviceStates);
+}
+
+module.exports = {
+  initServiceMonitor,
+  checkServiceTransitions,
+  forgetAccount,
+  classifyStatus,
+  DEPLOY_STUCK_MINUTES
+};
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const { getRedisClient, isRedisAvailable, initRedisClient } = require('./redis-client');
+const { getRedisClient, isRedisAvailable, initRedisClient, scanKeys } = require('./redis-client');
 
 // Session 配置
 const SESSION_DURATION = 10 * 24 * 60 * 60 * 1000; // 10天
@@ -37,10 +37,10 @@ function generateSessionToken() {
 
 /**
  * 创建 Session
- * @param {string} userId - 用户ID（可选，用于多用户）
+ * @param {number|null} userId - 用户ID，null 为内置管理员
  * @returns {Promise<string>} Session Token
  */
-async function createSession(userId = 'admin') {
+async function createSession(userId = null) {
   const token = generateSessionToken();
   const session = {
     userId,
@@ -126,8 +126,9 @@ function cleanExpiredSessions() {
 async function getActiveSessionCount() {
   const client = getRedisClient();
   if (isRedisAvailable() && client) {
-    const keys = await client.keys(SESSION_PREFIX + '*');
-    return keys.length;
+    const tokens = new Set();
+    await scanKeys(SESSION_PREFIX + '*', keys => keys.forEach(key => tokens.add(key)));
+    return tokens.size;
   }
   return memorySessions.size;
 }
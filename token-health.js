@@ -0,0 +1,101 @@
+/**
+ * Token 健康状态
+ * 后台轮询和添加、更新账号时根据账号级别的查询结果记录状态（服务和项目操作的错误不计入），Token 失效（无效或无权限）时发送 token_invalid 通知
+ */
+
+const db = require('./db');
+const { notifyTokenInvalid } = require('./notifications');
+
+const TOKEN_HEALTH_STATE = 'token_health';
+
+// 健康状态
+const STATUSES = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  FORBIDDEN: 'forbidden',
+  UNREACHABLE: 'unreachable'
+};
+
+// { accountKey: { status, since, lastCheckedAt, lastSuccessAt, error } }
+let healthStates = {};
+
+/**
+ * 加载持久化的健康状态
+ */
+async function initTokenHealth() {
+  healthStates = await db.getState(TOKEN_HEALTH_STATE, {});
+}
+
+/**
+ * 根据请求错误判断健康状态
+ * 网络错误、限流和 Zeabur 故障与 Token 本身无关，记为 unreachable
+ */
+function resolveStatus(error) {
+  if (!error) return STATUSES.VALID;
+  if (error.code === 'INVALID_TOKEN') return STATUSES.INVALID;
+  if (error.code === 'FORBIDDEN') return STATUSES.FORBIDDEN;
+  return STATUSES.UNREACHABLE;
+}
+
+function isBroken(status) {
+  return status === STATUSES.INVALID || status === STATUSES.FORBIDDEN;
+}
+
+/**
+ * 记录一次 Token 调用结果
+ * @param {string} accountKey - 账号标识
+ * @param {string} accountName - 账号名称
+ * @param {Error|null} error - 调用失败时的错误，成功时为 null
+ * @param {number|null} userId - 账号所属用户 ID（通知只发送给该用户）
+ * @returns {Promise<object>} 更新后的健康状态
+ */
+async function recordTokenCheck(accountKey, accountName, error, userId = null) {
+  const now = Date.now();
+  const status = resolveStatus(error);
+  const previous = healthStates[accountKey] || { status: null, since: now, lastSuccessAt: null };
+
+  const next = {
+    status,
+    since: status === previous.status ? previous.since : now,
+    lastCheckedAt: now,
+    lastSuccessAt: error ? previous.lastSuccessAt : now,
+    error: error ? error.message : null
+  };
+
+  // 只在 Token 从可用变为失效时通知一次，之后的失败不再重复发送
+  if (isBroken(status) && !isBroken(previous.status)) {
+    notifyTokenInvalid(accountName, status, error.message, userId).catch(() => {});
+  }
+
+  // 状态未变化时只更新内存，避免每次请求都写入存储
+  healthStates[accountKey] = next;
+  if (status !== previous.status || next.error !== previous.error) {
+    await db.setState(TOKEN_HEALTH_STATE, healthStates);
+  }
+  return next;
+}
+
+/**
+ * 获取账号的健康状态（尚未检查过时为 null）
+ * @param {string} accountKey - 账号标识
+ */
+function getTokenHealth(accountKey) {
+  return healthStates[accountKey] || null;
+}
+
+/**
+ * 移除账号的健康状态（账号删除或改名时调用）
+ * @param {string} accountKey - 账号标识
+ */
+async function forgetAccount(accountKey) {
+  delete healthStates[accountKey];
+  await db.setState(TOKEN_HEALTH_STATE, healthStates);
+}
+
+module.exports = {
+  STATUSES,
+  initTokenHealth,
+  recordTokenCheck,
+  getTokenHealth,
+  forgetAccount
+};
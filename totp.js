@@ -0,0 +1,173 @@
+/**
+ * TOTP 两步验证模块（RFC 6238 / RFC 4226）
+ * 兼容 Google Authenticator、1Password、Authy 等验证器：HMAC-SHA1、6 位数字、30 秒步长
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP = 30;
+const TOTP_DIGITS = 6;
+
+// 允许前后各 1 个步长的时间偏差
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的 Base32 密钥');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 生成 TOTP 密钥
+ * @returns {string} Base32 编码的 160 位密钥
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 计算 HOTP 验证码（RFC 4226）
+ * @param {Buffer} key - 密钥
+ * @param {number} counter - 计数器
+ * @returns {string}
+ */
+function hotp(key, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  // 动态截取
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 生成当前时间的 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {number} time - 毫秒时间戳，默认为当前时间
+ * @returns {string}
+ */
+function generateTotp(secret, time = Date.now()) {
+  return hotp(base32Decode(secret), Math.floor(time / 1000 / TOTP_STEP));
+}
+
+/**
+ * 验证 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {object} options
+ * @param {number|null} options.lastUsedStep - 上次使用的时间步，不接受相同或更早的验证码（防止重放）
+ * @param {number} options.time - 毫秒时间戳，用于测试
+ * @returns {number|null} 匹配的时间步，验证失败时为 null
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, time = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(time / 1000 / TOTP_STEP);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成验证器扫码使用的 otpauth:// 地址
+ * @param {string} secret - Base32 密钥
+ * @param {string} accountName - 显示的账号名称
+ * @param {string} issuer - 服务名称
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'Zeabur Monitor') {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * 标准化恢复码（忽略大小写、空格和横线）
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * 计算恢复码哈希（恢复码为随机生成，使用 SHA-256 即可）
+ * @param {string} code - 恢复码
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * 生成一次性恢复码
+ * @returns {object} { codes: 明文恢复码（只展示一次）, hashes: 需要保存的哈希 }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * 检查是否为恢复码格式（与 6 位数字验证码区分）
+ */
+function isRecoveryCode(code) {
+  return /^[a-z2-7]{10}$/.test(normalizeRecoveryCode(code));
+}
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isRecoveryCode
+};
@@ -0,0 +1,260 @@
+/**
+ * Webhook 消息格式模块
+ * 将通知事件转换为各聊天平台的原生消息格式（Discord、Slack、飞书、钉钉、企业微信、Telegram），
+ * 手机推送渠道的格式见 push-channels.js
+ */
+
+const crypto = require('crypto');
+const { PUSH_TYPES, detectPushType, pushFormatters, checkPushResponse } = require('./push-channels');
+
+// 支持的渠道类型
+const CHAT_TYPES = ['generic', 'discord', 'slack', 'feishu', 'dingtalk', 'wecom', 'telegram'];
+const CHANNEL_TYPES = [...CHAT_TYPES, ...PUSH_TYPES];
+
+// 事件标题与级别
+const EVENT_META = {
+  quota_warning: { title: '额度预警', severity: 'warning' },
+  quota_exceeded: { title: '额度超出', severity: 'critical' },
+  quota_recovered: { title: '额度恢复', severity: 'success' },
+  service_down: { title: '服务停止', severity: 'critical' },
+  service_error: { title: '服务异常', severity: 'critical' },
+  service_recovered: { title: '服务恢复', severity: 'success' },
+  login_failed: { title: '登录失败', severity: 'warning' },
+  account_added: { title: '账号添加', severity: 'info' },
+  account_removed: { title: '账号删除', severity: 'info' },
+  token_invalid: { title: 'Token 失效', severity: 'critical' },
+  test: { title: '测试消息', severity: 'info' }
+};
+
+// 事件数据字段的展示名称（按展示顺序）
+const FIELD_LABELS = {
+  accountName: '账号',
+  projectName: '项目',
+  serviceName: '服务',
+  status: '状态',
+  previousStatus: '之前状态',
+  reason: '原因',
+  remaining: '剩余额度',
+  threshold: '预警阈值',
+  limit: '额度上限',
+  username: '用户名',
+  ip: 'IP',
+  attempts: '尝试次数',
+  count: '账号数量'
+};
+
+// 级别颜色
+const SEVERITY_COLORS = {
+  critical: { hex: 0xE53935, feishu: 'red', emoji: '🔴' },
+  warning: { hex: 0xFB8C00, feishu: 'orange', emoji: '🟠' },
+  success: { hex: 0x43A047, feishu: 'green', emoji: '🟢' },
+  info: { hex: 0x1E88E5, feishu: 'blue', emoji: '🔵' }
+};
+
+/**
+ * 生成事件的通用描述
+ * @param {string} event - 事件类型
+ * @param {object} data - 事件数据
+ * @returns {object} { title, message, severity, fields }
+ */
+function describeEvent(event, data = {}) {
+  const meta = EVENT_META[event] || { title: event, severity: 'info' };
+  const fields = Object.entries(FIELD_LABELS)
+    .filter(([key]) => data[key] !== undefined && data[key] !== null && data[key] !== '')
+    .map(([key, label]) => ({ label, value: String(data[key]) }));
+
+  return {
+    title: `Zeabur Monitor · ${meta.title}`,
+    // 没有 message 时使用事件标题，避免与字段列表重复
+    message: data.message || meta.title,
+    severity: meta.severity,
+    fields
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toMarkdown(description, timestamp) {
+  const lines = [`**${description.message}**`];
+  if (description.fields.length > 0) {
+    lines.push('', ...description.fields.map(f => `- ${f.label}: ${f.value}`));
+  }
+  lines.push('', `> ${new Date(timestamp).toLocaleString('zh-CN', { hour12: false })}`);
+  return lines.join('\n');
+}
+
+// ==================== 各平台格式 ====================
+
+const formatters = {
+  generic(config, envelope) {
+    return { url: config.url, body: envelope };
+  },
+
+  discord(config, envelope, description) {
+    return {
+      url: config.url,
+      body: {
+        username: 'Zeabur Monitor',
+        embeds: [{
+          title: description.title,
+          description: description.message,
+          color: SEVERITY_COLORS[description.severity].hex,
+          fields: description.fields.map(f => ({ name: f.label, value: f.value, inline: true })),
+          timestamp: envelope.timestamp
+        }]
+      }
+    };
+  },
+
+  slack(config, envelope, description) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: description.title } },
+      { type: 'section', text: { type: 'mrkdwn', text: description.message } }
+    ];
+    if (description.fields.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: description.fields.slice(0, 10).map(f => ({ type: 'mrkdwn', text: `*${f.label}*\n${f.value}` }))
+      });
+    }
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `${envelope.event} · ${envelope.timestamp}` }] });
+
+    return { url: config.url, body: { text: `${description.title}: ${description.message}`, blocks } };
+  },
+
+  // 飞书自定义机器人：签名为 HmacSHA256(key = timestamp + "\n" + secret, 空消息)
+  feishu(config, envelope, description) {
+    const body = {
+      msg_type: 'interactive',
+      card: {
+        header: {
+          title: { tag: 'plain_text', content: description.title },
+          template: SEVERITY_COLORS[description.severity].feishu
+        },
+        elements: [{ tag: 'div', text: { tag: 'lark_md', content: toMarkdown(description, envelope.timestamp) } }]
+      }
+    };
+
+    if (config.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      body.timestamp = timestamp;
+      body.sign = crypto.createHmac('sha256', `${timestamp}\n${config.secret}`).update('').digest('base64');
+    }
+
+    return { url: config.url, body };
+  },
+
+  // 钉钉自定义机器人：签名为 HmacSHA256(key = secret, timestamp + "\n" + secret)，附加在 URL 上
+  dingtalk(config, envelope, description) {
+    let url = config.url;
+    if (config.secret) {
+      const timestamp = Date.now().toString();
+      const sign = crypto.createHmac('sha256', config.secret).update(`${timestamp}\n${config.secret}`).digest('base64');
+      url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+    }
+
+    return {
+      url,
+      body: {
+        msgtype: 'markdown',
+        markdown: {
+          title: description.title,
+          text: `### ${SEVERITY_COLORS[description.severity].emoji} ${description.title}\n\n${toMarkdown(description, envelope.timestamp)}`
+        }
+      }
+    };
+  },
+
+  // 企业微信群机器人：通过 URL 中的 key 鉴权，无签名
+  wecom(config, envelope, description) {
+    const color = { critical: 'warning', warning: 'warning', success: 'info', info: 'comment' }[description.severity];
+    const lines = [`### ${description.title}`, `<font color="${color}">${description.message}</font>`];
+    description.fields.forEach(f => lines.push(`> ${f.label}: <font color="comment">${f.value}</font>`));
+
+    return { url: config.url, body: { msgtype: 'markdown', markdown: { content: lines.join('\n') } } };
+  },
+
+  // Telegram Bot API：URL 为 https://api.telegram.org/bot<token>/sendMessage
+  telegram(config, envelope, description) {
+    const lines = [
+      `<b>${escapeHtml(description.title)}</b>`,
+      escapeHtml(description.message),
+      ''
+    ];
+    description.fields.forEach(f => lines.push(`<b>${escapeHtml(f.label)}:</b> ${escapeHtml(f.value)}`));
+
+    return {
+      url: config.url,
+      body: {
+        chat_id: config.options?.chatId,
+        text: lines.join('\n').trim(),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      }
+    };
+  },
+
+  ...pushFormatters
+};
+
+/**
+ * 根据 URL 推断渠道类型（推送地址按协议识别，其余为 generic）
+ * @param {string} url - 渠道地址
+ * @returns {string}
+ */
+function detectChannelType(url) {
+  return detectPushType(url) || 'generic';
+}
+
+/**
+ * 构建发送到指定渠道的请求
+ * @param {object} config - Webhook 配置（type、url、secret、options）
+ * @param {object} envelope - 通用消息 { event, timestamp, data }
+ * @returns {object} { url, headers, body }，body 为已序列化的字符串
+ */
+function buildRequest(config, envelope) {
+  const formatter = formatters[config.type] || formatters.generic;
+  const { url, headers = {}, body } = formatter(config, envelope, describeEvent(envelope.event, envelope.data));
+  return { url, headers, body: JSON.stringify(body) };
+}
+
+/**
+ * 检查平台响应是否表示投递成功
+ * 部分平台在 HTTP 200 时通过响应体返回错误码
+ * @param {string} type - 渠道类型
+ * @param {string} body - 响应体
+ * @returns {string|null} 错误描述，成功时为 null
+ */
+function checkResponse(type, body) {
+  let result;
+  try {
+    result = JSON.parse(body);
+  } catch (e) {
+    // Slack 成功时返回纯文本 ok
+    return type === 'slack' && body.trim() !== 'ok' ? body.slice(0, 200) : null;
+  }
+
+  switch (type) {
+    case 'feishu':
+      return result.code && result.code !== 0 ? `飞书错误 ${result.code}: ${result.msg}` : null;
+    case 'dingtalk':
+    case 'wecom':
+      return result.errcode && result.errcode !== 0 ? `错误 ${result.errcode}: ${result.errmsg}` : null;
+    case 'telegram':
+      return result.ok === false ? `Telegram 错误: ${result.description}` : null;
+    default:
+      return PUSH_TYPES.includes(type) ? checkPushResponse(type, result) : null;
+  }
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  PUSH_TYPES,
+  EVENT_META,
+  describeEvent,
+  detectChannelType,
+  buildRequest,
+  checkResponse
+};
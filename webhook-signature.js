@@ -0,0 +1,83 @@
+/**
+ * Webhook 签名模块
+ * 签名格式：X-Webhook-Signature: t=<Unix 秒>,v1=<HMAC-SHA256(secret, "<t>.<body>") 十六进制>
+ * 时间戳参与签名，接收方拒绝过期请求即可防止重放。本模块不依赖其他文件，接收方可直接复制使用
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+
+// 默认允许的时间偏差（秒）
+const DEFAULT_TOLERANCE = 300;
+
+function computeSignature(timestamp, payload, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * 生成签名头
+ * @param {string} payload - 请求体（原始字符串）
+ * @param {string} secret - 密钥
+ * @param {number} timestamp - Unix 时间戳（秒），默认为当前时间
+ * @returns {string} 形如 t=1700000000,v1=5257a8...
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},${SIGNATURE_VERSION}=${computeSignature(timestamp, payload, secret)}`;
+}
+
+/**
+ * 解析签名头
+ * @param {string} header - X-Webhook-Signature 的值
+ * @returns {object|null} { timestamp, signatures }，格式错误时为 null
+ */
+function parseSignatureHeader(header) {
+  if (typeof header !== 'string') return null;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value)) {
+      timestamp = parseInt(value, 10);
+    } else if (key === SIGNATURE_VERSION && value) {
+      signatures.push(value);
+    }
+  }
+
+  return timestamp !== null && signatures.length > 0 ? { timestamp, signatures } : null;
+}
+
+/**
+ * 验证签名（供接收方使用）
+ * 必须使用收到的原始请求体验证，重新序列化的 JSON 可能与原文不一致
+ * @param {string|Buffer} payload - 原始请求体
+ * @param {string} header - X-Webhook-Signature 的值
+ * @param {string} secret - 密钥
+ * @param {object} options
+ * @param {number} options.tolerance - 允许的时间偏差（秒），默认 300
+ * @param {number} options.now - 当前 Unix 时间戳（秒），用于测试
+ * @returns {boolean} 签名有效且未过期时为 true
+ */
+function verifySignature(payload, header, secret, { tolerance = DEFAULT_TOLERANCE, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parsed = parseSignatureHeader(header);
+  if (!parsed || !secret) return false;
+
+  // 拒绝过期（或时间过于超前）的请求，防止重放
+  if (Math.abs(now - parsed.timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(computeSignature(parsed.timestamp, payload.toString(), secret), 'hex');
+  // 支持多个 v1 签名（密钥轮换期间）
+  return parsed.signatures.some(signature => {
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  DEFAULT_TOLERANCE,
+  signPayload,
+  parseSignatureHeader,
+  verifySignature
+};
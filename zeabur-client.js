@@ -0,0 +1,580 @@
+/**
+ * Zeabur GraphQL 客户端
+ * 所有 Zeabur API 请求都经过这里：参数通过 variables 传递，共享 keep-alive 连接，
+ * 网络错误、5xx 和 429 自动重试，并把失败归类为带 code 的错误类型；
+ * 相同的并发查询合并为一个请求，同时进行的 HTTP 请求数受 ZEABUR_API_CONCURRENCY 限制；
+ * 同一账号在同一事件循环内发起的多个查询（me、projects、aihubTenant、usages）会合并为一个带别名的 GraphQL 请求
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+// 接口地址（可指向本地模拟服务，用于测试和基准测试）
+const API_URL = new URL(process.env.ZEABUR_API_URL || 'https://api.zeabur.com/graphql');
+const transport = API_URL.protocol === 'http:' ? http : https;
+
+// 单次请求超时（毫秒）
+const REQUEST_TIMEOUT = parseInt(process.env.ZEABUR_API_TIMEOUT, 10) || 10000;
+
+// 失败后按 ZEABUR_API_RETRY_DELAY × 2^n 毫秒退避，最多重试 ZEABUR_API_MAX_RETRIES 次
+const MAX_RETRIES = Math.max(parseInt(process.env.ZEABUR_API_MAX_RETRIES ?? '2', 10) || 0, 0);
+const RETRY_DELAY = parseInt(process.env.ZEABUR_API_RETRY_DELAY, 10) || 500;
+
+// Retry-After 超过该时长时不再等待，直接返回限流错误
+const MAX_RETRY_AFTER = 30000;
+
+// 同时进行的 HTTP 请求上限（所有账号共享），超出的请求排队等待
+const MAX_CONCURRENCY = Math.max(parseInt(process.env.ZEABUR_API_CONCURRENCY, 10) || 8, 1);
+
+// 批量查询：设为 false 时每个字段单独请求；窗口为 0 时在当前事件循环结束时发送
+const BATCH_ENABLED = process.env.ZEABUR_API_BATCH !== 'false';
+const BATCH_WINDOW = Math.max(parseInt(process.env.ZEABUR_API_BATCH_WINDOW, 10) || 0, 0);
+
+// 连接池：复用 TLS 连接，空闲连接优先复用最近使用的（lifo），其余的由服务端超时关闭
+const agent = new transport.Agent({
+  keepAlive: true,
+  keepAliveMsecs: 30000,
+  maxSockets: MAX_CONCURRENCY,
+  maxFreeSockets: MAX_CONCURRENCY,
+  scheduling: 'lifo'
+});
+
+let activeRequests = 0;
+const waitingRequests = [];
+
+// 正在进行的查询：key -> Promise，相同 Token、语句和变量的查询共用一个请求
+const inflightQueries = new Map();
+
+// 等待合并的字段查询：token -> [{ name, variables, resolve, reject }]
+const batchQueues = new Map();
+
+// 请求统计（进程启动后累计）
+const counters = {
+  requests: 0,
+  coalesced: 0,
+  retries: 0,
+  errors: 0,
+  batches: 0,
+  batchedFields: 0,
+  batchFallbacks: 0
+};
+
+// ==================== 错误类型 ====================
+
+/**
+ * Zeabur API 错误基类
+ * code 用于区分错误类型，status 为转发给前端时建议使用的 HTTP 状态码
+ */
+class ZeaburError extends Error {
+  constructor(message, { code = 'GRAPHQL_ERROR', status = 400, errors = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// Token 无效、已过期或已被撤销
+class InvalidTokenError extends ZeaburError {
+  constructor(message = 'API Token 无效或已过期', options = {}) {
+    super(message, { ...options, code: 'INVALID_TOKEN', status: 400 });
+  }
+}
+
+// Token 有效但没有访问该资源的权限
+class ForbiddenError extends ZeaburError {
+  constructor(message = '没有权限执行该操作', options = {}) {
+    super(message, { ...options, code: 'FORBIDDEN', status: 403 });
+  }
+}
+
+// 请求过于频繁（retryAfter 为建议等待的毫秒数）
+class RateLimitedError extends ZeaburError {
+  constructor(retryAfter = null, options = {}) {
+    super('Zeabur API 请求过于频繁，请稍后再试', { ...options, code: 'RATE_LIMITED', status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 网络错误、超时、5xx 或无法解析的响应
+class UpstreamError extends ZeaburError {
+  constructor(message = 'Zeabur API 暂时不可用', options = {}) {
+    super(message, { ...options, code: 'UPSTREAM_DOWN', status: 502 });
+  }
+}
+
+// ==================== 请求 ====================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @returns {number|null} 等待毫秒数
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * 根据 GraphQL errors 数组判断错误类型
+ */
+function classifyGraphQLErrors(errors) {
+  const message = errors.map(e => e.message).filter(Boolean).join('; ') || 'Zeabur API 返回错误';
+  const codes = errors.map(e => String(e.extensions?.code || '').toUpperCase());
+
+  if (codes.includes('UNAUTHENTICATED') || /unauthenticated|unauthorized|invalid token|token expired/i.test(message)) {
+    return new InvalidTokenError(undefined, { errors });
+  }
+  if (codes.includes('FORBIDDEN') || /forbidden|permission denied|not allowed/i.test(message)) {
+    return new ForbiddenError(message, { errors });
+  }
+  if (codes.includes('TOO_MANY_REQUESTS') || codes.includes('RATE_LIMITED')) {
+    return new RateLimitedError(null, { errors });
+  }
+  if (codes.includes('INTERNAL_SERVER_ERROR')) {
+    return new UpstreamError(message, { errors });
+  }
+  return new ZeaburError(message, { errors });
+}
+
+/**
+ * 占用一个请求名额，名额用完时排队
+ */
+async function acquireSlot() {
+  if (activeRequests < MAX_CONCURRENCY) {
+    activeRequests++;
+    return;
+  }
+  await new Promise(resolve => waitingRequests.push(resolve));
+}
+
+/**
+ * 释放请求名额（有排队的请求时直接交给下一个）
+ */
+function releaseSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * 发送一次 GraphQL 请求（受并发上限限制，重试等待期间不占用名额）
+ * @param {boolean} unwrap - 为 true 时返回 data 字段并把字段错误转换为异常，为 false 时返回完整响应（批量查询自行处理各字段的错误）
+ * @returns {Promise<object>} 响应中的 data 字段或完整响应
+ */
+async function sendRequest(token, body, timeout, unwrap) {
+  await acquireSlot();
+  counters.requests++;
+  const operation = /^\s*(?:query|mutation)\s+(\w+)/.exec(body.query)?.[1] || 'anonymous';
+  const startedAt = process.hrtime.bigint();
+  let outcome = 'success';
+  try {
+    const result = await sendHttpRequest(token, body, timeout);
+    return unwrap ? unwrapData(result) : result;
+  } catch (error) {
+    outcome = error.code || 'UNKNOWN';
+    throw error;
+  } finally {
+    releaseSlot();
+    metrics.zeaburRequestDuration.observe({ operation, outcome }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+}
+
+/**
+ * 取出响应中的 data 字段
+ * 部分字段出错时仍返回其余数据，只有拿不到任何数据时才视为失败
+ */
+function unwrapData(result) {
+  const errors = Array.isArray(result.errors) ? result.errors : [];
+  const hasData = Object.values(result.data).some(value => value !== null && value !== undefined);
+  if (errors.length > 0) {
+    const error = classifyGraphQLErrors(errors);
+    if (!hasData || error.code !== 'GRAPHQL_ERROR') throw error;
+    console.log(`⚠️ Zeabur API 部分字段返回错误: ${error.message}`);
+  }
+  return result.data;
+}
+
+function sendHttpRequest(token, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const options = {
+      hostname: API_URL.hostname,
+      port: API_URL.port || undefined,
+      path: API_URL.pathname,
+      method: 'POST',
+      agent,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+      },
+      timeout
+    };
+
+    const req = transport.request(options, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => raw += chunk);
+      res.on('end', () => {
+        const { statusCode } = res;
+        if (statusCode === 401) return reject(new InvalidTokenError());
+        if (statusCode === 403) return reject(new ForbiddenError());
+        if (statusCode === 429) return reject(new RateLimitedError(parseRetryAfter(res.headers['retry-after'])));
+        if (statusCode >= 500) return reject(new UpstreamError(`Zeabur API 返回 HTTP ${statusCode}`));
+
+        let result;
+        try {
+          result = JSON.parse(raw);
+        } catch (e) {
+          return reject(new UpstreamError('Zeabur API 返回了无效的 JSON'));
+        }
+
+        if (!result.data) {
+          const errors = Array.isArray(result.errors) ? result.errors : [];
+          return reject(errors.length > 0 ? classifyGraphQLErrors(errors) : new UpstreamError('Zeabur API 响应中没有数据'));
+        }
+        resolve(result);
+      });
+    });
+
+    req.on('error', (error) => reject(new UpstreamError(`无法连接 Zeabur API: ${error.message}`)));
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new UpstreamError('Zeabur API 请求超时'));
+    });
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * 发送请求并在可重试的错误时退避重试
+ * 查询在网络错误、超时、5xx 和 429 时重试；变更可能已经生效，只在 429（请求未被处理）时重试
+ */
+async function requestWithRetry(token, body, isMutation, retries, timeout, unwrap = true) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(token, body, timeout, unwrap);
+    } catch (error) {
+      const retryable = error instanceof RateLimitedError || (error instanceof UpstreamError && !isMutation);
+      const delay = error.retryAfter ?? RETRY_DELAY * 2 ** attempt;
+      if (!retryable || attempt >= retries || delay > MAX_RETRY_AFTER) {
+        counters.errors++;
+        metrics.zeaburRequestErrors.inc({ code: error.code || 'UNKNOWN' });
+        throw error;
+      }
+      counters.retries++;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * 执行 GraphQL 查询或变更
+ * 相同 Token、语句和变量的并发查询共用同一个请求（变更不合并）
+ * @param {string} token - API Token
+ * @param {string} query - GraphQL 语句，参数通过 variables 传递，不要拼接到语句中
+ * @param {object} variables - 变量
+ * @param {object} options - { operationName, retries, timeout }
+ * @returns {Promise<object>} 响应中的 data 字段
+ */
+async function request(token, query, variables = {}, { operationName, retries = MAX_RETRIES, timeout = REQUEST_TIMEOUT } = {}) {
+  const isMutation = /^\s*mutation\b/.test(query);
+  const body = { query, variables };
+  if (operationName) body.operationName = operationName;
+
+  if (isMutation) {
+    return requestWithRetry(token, body, true, retries, timeout);
+  }
+  return coalesceQuery(token, body, retries, timeout, true);
+}
+
+/**
+ * 相同 Token、语句、变量和返回形式的并发查询共用同一个请求
+ */
+function coalesceQuery(token, body, retries, timeout, unwrap) {
+  // 键中只保存 Token 的哈希
+  const key = crypto.createHash('sha256').update(token).update('\n').update(JSON.stringify(body)).update(unwrap ? '' : '\nraw').digest('hex');
+  const pending = inflightQueries.get(key);
+  if (pending) {
+    counters.coalesced++;
+    return pending;
+  }
+
+  const promise = requestWithRetry(token, body, false, retries, timeout, unwrap).finally(() => {
+    inflightQueries.delete(key);
+  });
+  inflightQueries.set(key, promise);
+  return promise;
+}
+
+// ==================== 批量查询 ====================
+
+// 可合并的查询字段：args 为参数名及 GraphQL 类型，selection 为返回字段
+const BATCH_FIELDS = {
+  me: { selection: '_id username email credit' },
+  projects: {
+    selection: `edges {
+      node {
+        _id name
+        region { name }
+        environments { _id }
+        services {
+          _id name status template
+          resourceLimit { cpu memory }
+          domains { domain isGenerated }
+        }
+      }
+    }`
+  },
+  aihubTenant: { selection: 'balance keys { keyID alias cost }' },
+  usages: {
+    args: { from: 'String!', to: 'String!', groupByEntity: 'GroupByEntity', groupByTime: 'GroupByTime', groupByType: 'GroupByType', userID: 'ObjectID!' },
+    selection: 'categories data { id name groupByEntity usageOfEntity __typename } __typename'
+  }
+};
+
+/**
+ * 把多个字段查询拼成一个带别名的 GraphQL 语句，变量名加上别名前缀避免冲突
+ * @param {Array} entries - [{ alias, name, variables }]
+ * @returns {object} 请求体 { query, variables }
+ */
+function buildBatchDocument(entries) {
+  const definitions = [];
+  const fields = [];
+  const variables = {};
+
+  for (const { alias, name, variables: values } of entries) {
+    const { args = {}, selection } = BATCH_FIELDS[name];
+    const params = Object.keys(args).map(arg => {
+      const variable = `${alias}_${arg}`;
+      definitions.push(`$${variable}: ${args[arg]}`);
+      variables[variable] = values[arg] ?? null;
+      return `${arg}: $${variable}`;
+    });
+    fields.push(`${alias}: ${name}${params.length > 0 ? `(${params.join(', ')})` : ''} { ${selection} }`);
+  }
+
+  const header = definitions.length > 0 ? `query BatchQuery(${definitions.join(', ')})` : 'query BatchQuery';
+  return { query: `${header} {\n  ${fields.join('\n  ')}\n}`, variables };
+}
+
+/**
+ * 查询单个字段，同一 Token 在同一批次窗口内的查询合并为一个请求
+ * @param {string} token - API Token
+ * @param {string} name - BATCH_FIELDS 中的字段名
+ * @param {object} variables - 字段参数
+ * @returns {Promise<any>} 字段的值
+ */
+function queryField(token, name, variables = {}) {
+  const key = `${name}:${JSON.stringify(variables)}`;
+  if (!BATCH_ENABLED) {
+    return executeBatch(token, [{ name, variables, key }]).then(outcomes => settle(outcomes.get(key)));
+  }
+
+  return new Promise((resolve, reject) => {
+    let queue = batchQueues.get(token);
+    if (!queue) {
+      queue = [];
+      batchQueues.set(token, queue);
+      const flush = () => flushBatch(token);
+      if (BATCH_WINDOW > 0) {
+        setTimeout(flush, BATCH_WINDOW);
+      } else {
+        setImmediate(flush);
+      }
+    }
+    queue.push({ name, variables, key, resolve, reject });
+  });
+}
+
+function settle(outcome) {
+  if (outcome.error) throw outcome.error;
+  return outcome.value;
+}
+
+/**
+ * 发送等待中的批量查询，并把各字段的结果分发给调用方（相同字段和参数只查询一次）
+ */
+async function flushBatch(token) {
+  const queue = batchQueues.get(token) || [];
+  batchQueues.delete(token);
+
+  const entries = new Map();
+  for (const { name, variables, key } of queue) {
+    if (!entries.has(key)) entries.set(key, { name, variables, key });
+  }
+
+  const outcomes = await executeBatch(token, [...entries.values()]);
+  for (const item of queue) {
+    const outcome = outcomes.get(item.key);
+    if (outcome.error) {
+      item.reject(outcome.error);
+    } else {
+      item.resolve(outcome.value);
+    }
+  }
+}
+
+/**
+ * 执行一次批量查询
+ * 某个字段出错（如 aihubTenant 未开通）只影响该字段；整个语句被拒绝（如字段不存在）时改为逐个字段单独请求
+ * @param {string} token - API Token
+ * @param {Array} entries - [{ name, variables, key }]
+ * @returns {Promise<Map>} key -> { value } 或 { error }
+ */
+async function executeBatch(token, entries) {
+  entries.forEach((entry, index) => {
+    entry.alias = entries.findIndex(e => e.name === entry.name) === index ? entry.name : `${entry.name}_${index}`;
+  });
+  if (entries.length > 1) {
+    counters.batches++;
+    counters.batchedFields += entries.length;
+  }
+
+  const outcomes = new Map();
+  let result;
+  try {
+    result = await coalesceQuery(token, buildBatchDocument(entries), MAX_RETRIES, REQUEST_TIMEOUT, false);
+  } catch (error) {
+    if (error.code === 'GRAPHQL_ERROR' && entries.length > 1) {
+      counters.batchFallbacks++;
+      console.log(`⚠️ Zeabur 批量查询被拒绝，改为逐个字段请求: ${error.message}`);
+      const singles = await Promise.all(entries.map(({ name, variables, key }) => executeBatch(token, [{ name, variables, key }])));
+      singles.forEach(single => single.forEach((outcome, key) => outcomes.set(key, outcome)));
+      return outcomes;
+    }
+    entries.forEach(entry => outcomes.set(entry.key, { error }));
+    return outcomes;
+  }
+
+  const errors = Array.isArray(result.errors) ? result.errors : [];
+  for (const entry of entries) {
+    const value = result.data[entry.alias] ?? null;
+    const fieldErrors = errors.filter(e => Array.isArray(e.path) && e.path[0] === entry.alias);
+    if (fieldErrors.length > 0) {
+      const error = classifyGraphQLErrors(fieldErrors);
+      // 字段有部分数据且只是普通错误时保留数据
+      if (value === null || error.code !== 'GRAPHQL_ERROR') {
+        outcomes.set(entry.key, { error });
+        continue;
+      }
+      console.log(`⚠️ Zeabur API 字段 ${entry.name} 部分返回错误: ${error.message}`);
+    }
+    outcomes.set(entry.key, { value });
+  }
+  return outcomes;
+}
+
+/**
+ * 获取客户端状态（用于状态展示和监控）
+ * @returns {object} { concurrency, active, queued, inflight, batching, requests, coalesced, retries, errors, batches, batchedFields, batchFallbacks }
+ */
+function getClientStats() {
+  return {
+    concurrency: MAX_CONCURRENCY,
+    active: activeRequests,
+    queued: waitingRequests.length,
+    inflight: inflightQueries.size,
+    batching: BATCH_ENABLED,
+    ...counters
+  };
+}
+
+// ==================== 查询 ====================
+
+/**
+ * 获取当前 Token 对应的用户，Token 无效时 Zeabur 返回 me: null
+ */
+async function getCurrentUser(token) {
+  const me = await queryField(token, 'me');
+  if (!me?._id) {
+    throw new InvalidTokenError();
+  }
+  return me;
+}
+
+async function getProjects(token) {
+  const projects = await queryField(token, 'projects');
+  return (projects?.edges || []).map(edge => edge.node);
+}
+
+async function getAIHubTenant(token) {
+  return queryField(token, 'aihubTenant');
+}
+
+/**
+ * 获取指定时间段内按项目、按天汇总的用量
+ * @param {string} from - 开始日期 YYYY-MM-DD
+ * @param {string} to - 结束日期 YYYY-MM-DD
+ */
+async function getUsages(token, userID, from, to) {
+  const usages = await queryField(token, 'usages', { from, to, groupByEntity: 'PROJECT', groupByTime: 'DAY', groupByType: 'ALL', userID });
+  return usages?.data || [];
+}
+
+async function getRuntimeLogs(token, projectID, serviceID, environmentID) {
+  const data = await request(token, `query GetRuntimeLogs($projectID: ObjectID!, $serviceID: ObjectID!, $environmentID: ObjectID!) {
+    runtimeLogs(projectID: $projectID, serviceID: $serviceID, environmentID: $environmentID) {
+      message timestamp
+    }
+  }`, { projectID, serviceID, environmentID });
+  return data.runtimeLogs || [];
+}
+
+// ==================== 变更 ====================
+
+async function suspendService(token, serviceID, environmentID) {
+  const data = await request(token, `mutation SuspendService($serviceID: ObjectID!, $environmentID: ObjectID!) {
+    suspendService(serviceID: $serviceID, environmentID: $environmentID)
+  }`, { serviceID, environmentID });
+  return !!data.suspendService;
+}
+
+async function restartService(token, serviceID, environmentID) {
+  const data = await request(token, `mutation RestartService($serviceID: ObjectID!, $environmentID: ObjectID!) {
+    restartService(serviceID: $serviceID, environmentID: $environmentID)
+  }`, { serviceID, environmentID });
+  return !!data.restartService;
+}
+
+async function renameProject(token, projectID, name) {
+  const data = await request(token, `mutation RenameProject($projectID: ObjectID!, $name: String!) {
+    renameProject(_id: $projectID, name: $name)
+  }`, { projectID, name });
+  return !!data.renameProject;
+}
+
+module.exports = {
+  // 错误类型
+  ZeaburError,
+  InvalidTokenError,
+  ForbiddenError,
+  RateLimitedError,
+  UpstreamError,
+  // 通用请求
+  request,
+  getClientStats,
+  // 查询
+  getCurrentUser,
+  getProjects,
+  getAIHubTenant,
+  getUsages,
+  getRuntimeLogs,
+  // 变更
+  suspendService,
+  restartService,
+  renameProject
+};